@@ -1,5 +1,7 @@
 const { Server } = require('./lib/Server');
+const { Logger } = require('./lib/Logger');
 
 module.exports = {
-  Server
+  Server,
+  Logger
 };
\ No newline at end of file
@@ -1,5 +1,10 @@
 const childProcess = require('child_process');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { AdbError, InstallError, parseAdbResult } = require('./adbErrors');
+const { Logger } = require('./Logger');
 
 const DANGEROUS_PERMISSIONS = [
   'android.permission.READ_CALENDAR',
@@ -25,9 +30,52 @@ const DANGEROUS_PERMISSIONS = [
   'android.permission.RECEIVE_WAP_PUSH',
   'android.permission.RECEIVE_MMS',
   'android.permission.READ_EXTERNAL_STORAGE',
-  'android.permission.WRITE_EXTERNAL_STORAGE'
+  'android.permission.WRITE_EXTERNAL_STORAGE',
+  // Android 8.0
+  'android.permission.ANSWER_PHONE_CALLS',
+  'android.permission.READ_PHONE_NUMBERS',
+  // Android 9
+  'android.permission.ACCEPT_HANDOVER',
+  // Android 10
+  'android.permission.ACCESS_BACKGROUND_LOCATION',
+  'android.permission.ACCESS_MEDIA_LOCATION',
+  'android.permission.ACTIVITY_RECOGNITION',
+  // Android 12
+  'android.permission.BLUETOOTH_ADVERTISE',
+  'android.permission.BLUETOOTH_CONNECT',
+  'android.permission.BLUETOOTH_SCAN',
+  'android.permission.UWB_RANGING',
+  // Android 13
+  'android.permission.BODY_SENSORS_BACKGROUND',
+  'android.permission.NEARBY_WIFI_DEVICES',
+  'android.permission.POST_NOTIFICATIONS',
+  'android.permission.READ_MEDIA_AUDIO',
+  'android.permission.READ_MEDIA_IMAGES',
+  'android.permission.READ_MEDIA_VIDEO',
+  // Android 14
+  'android.permission.READ_MEDIA_VISUAL_USER_SELECTED'
 ];
 
+const APP_OP_MODES = ['allow', 'ignore', 'deny', 'default', 'foreground'];
+
+// `am` options for each type of intent extra.
+const EXTRA_OPTIONS = {
+  'string': '--es',
+  'boolean': '--ez',
+  'int': '--ei',
+  'long': '--el',
+  'float': '--ef',
+  'uri': '--eu',
+  'component': '--ecn',
+  'null': '--esn',
+  'string[]': '--esa',
+  'int[]': '--eia',
+  'long[]': '--ela',
+  'float[]': '--efa'
+};
+
+const EXTRA_TYPES = Object.keys(EXTRA_OPTIONS);
+
 class AndroidCommandLineTools {
 
   /**
@@ -46,14 +94,41 @@ class AndroidCommandLineTools {
    *  
    *   // This is only needed if you want to start emulators using
    *   // startDevice method.
-   *   avdName: 'Sony_xperia_z5_compact_API_23'
+   *   avdName: 'Sony_xperia_z5_compact_API_23',
+   *
+   *   // How adb commands that fail because of a transient problem (the
+   *   // device is offline, the adb server is restarting etc.) are retried.
+   *   // The delay between attempts starts from `minTimeout` and is
+   *   // multiplied by `factor` after each attempt. These are the defaults.
+   *   retryPolicy: {retries: 3, minTimeout: 500, maxTimeout: 5000, factor: 2},
+   *
+   *   // Path to the bundletool jar. Only needed for installing Android App
+   *   // Bundles (.aab). Defaults to process.env.BUNDLETOOL_PATH.
+   *   bundletoolPath: '/opt/bundletool/bundletool-all.jar',
+   *
+   *   // Path to ffmpeg. Only needed for joining screen recordings longer
+   *   // than three minutes. Defaults to 'ffmpeg' in the PATH.
+   *   ffmpegPath: '/usr/bin/ffmpeg',
+   *
+   *   // Each command is logged at the debug level with its duration. See
+   *   // `Logger`. Nothing is logged by default.
+   *   logger: new Logger({level: 'debug'})
    * });
    * ```
    */
-  constructor({sdkPath, deviceName, avdName} = {}) {
+  constructor({sdkPath, deviceName, avdName, retryPolicy, bundletoolPath, ffmpegPath, logger} = {}) {
     this.sdkPath = sdkPath || process.env.ANDROID_HOME;
+    this.bundletoolPath = bundletoolPath || process.env.BUNDLETOOL_PATH;
+    this.ffmpegPath = ffmpegPath || 'ffmpeg';
+    this.logger = logger || new Logger({level: 'silent'});
     this.deviceName = deviceName;
     this.avdName = avdName;
+    this.retryPolicy = Object.assign({
+      retries: 3,
+      minTimeout: 500,
+      maxTimeout: 5000,
+      factor: 2
+    }, retryPolicy);
   }
 
   get adbPath() {
@@ -64,59 +139,385 @@ class AndroidCommandLineTools {
     return path.join(this.sdkPath, 'emulator', 'emulator');
   }
 
-  startDevice({avdName} = {}) {
+  get avdManagerPath() {
+    return this.cmdlineToolPath('avdmanager');
+  }
+
+  get sdkManagerPath() {
+    return this.cmdlineToolPath('sdkmanager');
+  }
+
+  get apkAnalyzerPath() {
+    return this.cmdlineToolPath('apkanalyzer');
+  }
+
+  get javaPath() {
+    return process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, 'bin', 'java') : 'java';
+  }
+
+  /**
+   * Path of a tool in the newest build-tools version that has it or null
+   * if none of them have it.
+   */
+  buildToolPath(name) {
+    const buildToolsPath = path.join(this.sdkPath, 'build-tools');
+    let versions;
+
+    try {
+      versions = fs.readdirSync(buildToolsPath);
+    } catch (err) {
+      return null;
+    }
+
+    const candidates = versions.sort(compareVersions).reverse().map(version => {
+      return path.join(buildToolsPath, version, name);
+    });
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  cmdlineToolPath(name) {
+    // Newer SDKs have the tools in `cmdline-tools` and older ones in `tools`.
+    const candidates = [
+      path.join(this.sdkPath, 'cmdline-tools', 'latest', 'bin', name),
+      path.join(this.sdkPath, 'tools', 'bin', name)
+    ];
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+  }
+
+  /**
+   * Starts an emulator and waits until it has booted. The returned promise
+   * is resolved with the emulator's ChildProcess.
+   *
+   * ```js
+   * cmd.startDevice({
+   *   // Defaults to `cmd.avdName`.
+   *   avdName: 'Nexus_5X_API_23',
+   *   // Console port. The emulator's device name will be `emulator-${port}`.
+   *   port: 5556,
+   *   // Don't show the emulator window.
+   *   headless: true,
+   *   // Do a cold boot and don't save a snapshot on exit.
+   *   noSnapshot: true,
+   *   // Reset the emulator's user data.
+   *   wipeData: true,
+   *   // Value for the emulator's `-gpu` option, for example 'swiftshader_indirect'.
+   *   gpu: 'host',
+   *   // RAM size in megabytes.
+   *   memory: 2048,
+   *   // How long to wait for the boot to complete in milliseconds.
+   *   bootTimeout: 120000
+   * });
+   * ```
+   */
+  startDevice({avdName, port, headless, noSnapshot, wipeData, gpu, memory, bootTimeout} = {}) {
     avdName = avdName || this.avdName;
 
-    this.spawn(`${this.emulatorPath}`, ['-avd', avdName || this.avdName], {
-      stdio: 'ignore'
+    const deviceName = this.deviceName || (port && `emulator-${port}`);
+    const args = ['-avd', avdName];
+
+    if (port) {
+      args.push('-port', String(port));
+    }
+
+    if (headless) {
+      args.push('-no-window');
+    }
+
+    if (noSnapshot) {
+      args.push('-no-snapshot');
+    }
+
+    if (wipeData) {
+      args.push('-wipe-data');
+    }
+
+    if (gpu) {
+      args.push('-gpu', gpu);
+    }
+
+    if (memory) {
+      args.push('-memory', String(memory));
+    }
+
+    const emulator = this.spawn(this.emulatorPath, args, {
+      stdio: ['ignore', 'pipe', 'pipe']
     });
 
-    // Wait until the device is running.
-    const waitUntilRunning = (attempt = 0) => {
-      // If we get a list of packges from the packge manager we are good to go.
-      return this.listPackages().then(list => {
-        // listPackages should always return some items. If an empty list is
-        // received the device is not yet running "properly".
-        if (list.length === 0) {
-          throw new Error();
-        }
-      }).catch(err => {
-        if (attempt < 60) {
-          return new Promise(resolve => setTimeout(resolve, 1000)).then(() => {
-            return waitUntilRunning(attempt + 1);
-          });
-        } else {
-          throw err;
+    const output = captureOutput(emulator);
+    let exited = false;
+
+    emulator.on('exit', () => {
+      exited = true;
+    });
+
+    // The emulator couldn't be started at all, for example because the
+    // emulator package isn't installed. No `exit` event follows.
+    const spawnFailed = new Promise((resolve, reject) => {
+      emulator.on('error', err => {
+        exited = true;
+        reject(new Error(`could not start the emulator ${this.emulatorPath}: ${err.message}`));
+      });
+    });
+
+    return Promise.race([
+      this.waitForBoot({
+        deviceName,
+        timeout: bootTimeout,
+        isAlive: () => !exited
+      }),
+      spawnFailed
+    ]).then(() => {
+      return emulator;
+    }).catch(err => {
+      if (!exited) {
+        emulator.kill();
+      }
+
+      err.message += `\nemulator output:\n${output()}`;
+      throw err;
+    });
+  }
+
+  /**
+   * Waits until `sys.boot_completed` is set on the device. `isAlive` is
+   * called before each check. If it returns false we stop waiting.
+   */
+  waitForBoot({deviceName, timeout = 120000, isAlive = () => true} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    const deadline = Date.now() + timeout;
+
+    const poll = () => {
+      if (!isAlive()) {
+        return Promise.reject(new Error(`emulator ${deviceName} exited before it booted`));
+      }
+
+      return this
+        .execAdbShell({
+          deviceName,
+          args: ['getprop', 'sys.boot_completed']
+        })
+        .then(res => {
+          return res.stdout.trim() === '1';
+        }, () => {
+          // The device is not yet visible to adb.
+          return false;
+        })
+        .then(booted => {
+          if (booted) {
+            return;
+          }
+
+          if (Date.now() >= deadline) {
+            throw new Error(`device ${deviceName} did not boot in ${timeout} ms`);
+          }
+
+          return new Promise(resolve => setTimeout(resolve, 1000)).then(poll);
+        });
+    };
+
+    return poll();
+  }
+
+  stopDevice({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    // Wait until the device is gone from the list of running devices.
+    const waitUntilStopped = (attempt = 0) => {
+      return this.listRunningDevices().then(runningDevices => {
+        if (runningDevices.includes(deviceName)) {
+          if (attempt < 30) {
+            return new Promise(resolve => setTimeout(resolve, 1000)).then(() => {
+              return waitUntilStopped(attempt + 1);
+            });
+          } else {
+            throw new Error(`device ${deviceName} did not stop`);
+          }
         }
       });
     };
 
-    return waitUntilRunning();
+    return this
+      .execAdb({
+        deviceName,
+        args: ['emu', 'kill']
+      })
+      .then(() => {
+        return waitUntilStopped();
+      });
+  }
+
+  listAvds() {
+    return this
+      .execTool(this.emulatorPath, ['-list-avds'])
+      .then(res => {
+        return res.stdout.split(/\r?\n/).map(it => it.trim()).filter(it => !!it);
+      });
+  }
+
+  /**
+   * Creates the AVD if it doesn't exist. See `createAvd` for the options.
+   * Fails if the AVD doesn't exist and there's not enough information to
+   * create it.
+   */
+  ensureAvd(opt = {}) {
+    const avdName = opt.avdName || this.avdName;
+
+    return this.listAvds().then(avds => {
+      if (avds.includes(avdName)) {
+        return;
+      }
+
+      if (!opt.systemImage && !opt.apiLevel) {
+        throw new Error(`AVD ${avdName} does not exist. Give systemImage or apiLevel to create it automatically`);
+      }
+
+      return this.createAvd(Object.assign({}, opt, {avdName}));
+    });
+  }
+
+  /**
+   * Creates an AVD using avdmanager. The system image is installed using
+   * sdkmanager if it's not already installed.
+   *
+   * ```js
+   * cmd.createAvd({
+   *   avdName: 'Nexus_5X_API_23',
+   *   // Either give the system image's sdkmanager package name...
+   *   systemImage: 'system-images;android-23;google_apis;x86',
+   *   // ...or the parts it's built from. `tag` defaults to 'google_apis'
+   *   // and `abi` to 'x86_64'.
+   *   apiLevel: 23,
+   *   tag: 'google_apis',
+   *   abi: 'x86',
+   *   // Optional hardware profile. See `avdmanager list device`.
+   *   deviceProfile: 'Nexus 5X'
+   * });
+   * ```
+   */
+  createAvd({avdName, systemImage, apiLevel, tag, abi, deviceProfile}) {
+    avdName = avdName || this.avdName;
+    systemImage = systemImage || `system-images;android-${apiLevel};${tag || 'google_apis'};${abi || 'x86_64'}`;
+
+    return this.installSdkPackage({packageName: systemImage}).then(() => {
+      const args = ['create', 'avd', '--name', avdName, '--package', systemImage];
+
+      if (deviceProfile) {
+        args.push('--device', deviceProfile);
+      }
+
+      // avdmanager asks if we want to create a custom hardware profile.
+      return this.execTool(this.avdManagerPath, args, {input: 'no\n'});
+    });
+  }
+
+  installSdkPackage({packageName}) {
+    // Package names map to directories: 'system-images;android-23;google_apis;x86'
+    // is installed in `system-images/android-23/google_apis/x86`.
+    const packagePath = path.join.apply(path, [this.sdkPath].concat(packageName.split(';')));
+
+    if (fs.existsSync(packagePath)) {
+      return Promise.resolve();
+    }
+
+    if (!fs.existsSync(this.sdkManagerPath)) {
+      return Promise.reject(new Error(`${packageName} is not installed and sdkmanager was not found`));
+    }
+
+    // stdin is closed so that sdkmanager fails instead of waiting for
+    // someone to accept the licenses.
+    return this.execTool(this.sdkManagerPath, ['--install', packageName]);
   }
 
   listRunningDevices() {
+    return this.listDevices().then(devices => {
+      return devices.map(device => device.deviceName);
+    });
+  }
+
+  /**
+   * Returns a promise for the devices adb knows about like
+   * `[{deviceName: 'emulator-5554', state: 'device'}]`. The state is
+   * `device` for devices that are online. Other common states are
+   * `offline` and `unauthorized`.
+   */
+  listDevices() {
     return this
       .execAdb({
-        cmd: 'devices'
+        args: ['devices'],
+        noDevice: true
       })
       .then(res => {
         const stdout = res.stdout;
         const lines = stdout.split(/\r?\n/);
 
         return lines.slice(1).map(line => {
-          const parts = line.trim().split(/\s/);
-          return parts[0].trim();
-        }).filter(device => !!device);
+          const parts = line.trim().split(/\s+/);
+
+          return {
+            deviceName: parts[0],
+            state: parts[1] || null
+          };
+        }).filter(device => !!device.deviceName);
+      });
+  }
+
+  /**
+   * Reads the model and the Android version of a device using `getprop`.
+   *
+   * ```js
+   * cmd.deviceProperties().then(props => {
+   *   // {model: 'Android SDK built for x86', apiLevel: 23, platformVersion: '6.0', avdName: 'Nexus_5X_API_23'}
+   * });
+   * ```
+   *
+   * `avdName` is null for real devices.
+   */
+  deviceProperties({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['getprop']
       })
+      .then(res => {
+        const props = {};
+
+        // Lines look like `[ro.product.model]: [Pixel 2]`.
+        res.stdout.split(/\r?\n/).forEach(line => {
+          const match = line.match(/^\[([^\]]+)\]: \[(.*)\]\s*$/);
+
+          if (match) {
+            props[match[1]] = match[2];
+          }
+        });
+
+        const apiLevel = parseInt(props['ro.build.version.sdk'], 10);
+
+        return {
+          model: props['ro.product.model'] || null,
+          apiLevel: isNaN(apiLevel) ? null : apiLevel,
+          platformVersion: props['ro.build.version.release'] || null,
+          avdName: props['ro.boot.qemu.avd_name'] || props['ro.kernel.qemu.avd_name'] || null
+        };
+      });
   }
 
+  /**
+   * Uninstalls the app and installs it again. `apkPath` can also be an
+   * array of the base APK and its splits. They are installed atomically
+   * using `adb install-multiple`.
+   */
   installApp({deviceName, packageName, apkPath}) {
     deviceName = deviceName || this.deviceName;
 
     return this
-      .execAdb({
-        deviceName, 
-        cmd: `uninstall ${packageName}`
+      .uninstallApp({
+        deviceName,
+        packageName
       })
       .catch(() => {
         // We get here if the app is not installed.
@@ -125,126 +526,1204 @@ class AndroidCommandLineTools {
       .then(() => {
         return this.execAdb({
           deviceName,
-          cmd: `install ${apkPath}`
+          args: installArgs(apkPath, [])
         });
       });
   }
 
-  listPackages({deviceName} = {}) {
+  /**
+   * Installs a new version of the app over the old one keeping the app's
+   * data. If that's not possible (the new version is older or signed with
+   * a different key) the app is reinstalled.
+   */
+  updateApp({deviceName, packageName, apkPath}) {
     deviceName = deviceName || this.deviceName;
 
     return this
       .execAdb({
         deviceName,
-        cmd: `shell pm list packages`
+        args: installArgs(apkPath, ['-r'])
       })
-      .then(res => {
-        return res.stdout.split(/\r?\n/).map(it => it.trim()).filter(it => !!it);
+      .catch(err => {
+        const canReinstall = err instanceof InstallError && [
+          'INSTALL_FAILED_VERSION_DOWNGRADE',
+          'INSTALL_FAILED_UPDATE_INCOMPATIBLE'
+        ].includes(err.reason);
+
+        if (!canReinstall) {
+          throw err;
+        }
+
+        return this.installApp({deviceName, packageName, apkPath});
       });
   }
 
-  packageInfo({deviceName, packageName}) {
+  /**
+   * Returns a promise for the path of the installed APK on the device or
+   * null if the app is not installed.
+   */
+  installedApkPath({deviceName, packageName}) {
     deviceName = deviceName || this.deviceName;
 
     return this
-      .execAdb({
+      .execAdbShell({
         deviceName,
-        cmd: `shell dumpsys package ${packageName}`
+        args: ['pm', 'path', packageName]
       })
-      .then(res => {
-        const stdout = res.stdout;
-        const rows = stdout.split(/\r?\n/).map(row => row.trim());
-        const startIdx = rows.findIndex(row => row === 'requested permissions:') + 1;
-        const endIndex = rows.findIndex(row => row === 'install permissions:');
+      .then(res => res.stdout, err => {
+        // `pm path` exits with code 1 without any output if the package is
+        // not installed. Other failures are not taken for a missing app.
+        if (err instanceof AdbError && err.exitCode === 1 && !err.stdout.trim() && !err.stderr.trim()) {
+          return '';
+        }
 
-        return {
-          requestedPermissions: rows.slice(startIdx, endIndex)
-        };
+        throw err;
+      })
+      .then(stdout => {
+        // Apps with splits have one line per APK. The base APK is the first one.
+        const line = stdout.split(/\r?\n/).map(it => it.trim()).find(it => it.startsWith('package:'));
+        return line ? line.substr('package:'.length) : null;
       });
   }
 
-  clearApp({deviceName, packageName}) {
+  installedVersionCode({deviceName, packageName}) {
     deviceName = deviceName || this.deviceName;
 
-    return this.execAdb({
-      deviceName,
-      cmd: `shell pm clear ${packageName}`
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'package', packageName]
+      })
+      .then(res => {
+        const match = res.stdout.match(/versionCode=(\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+      });
+  }
+
+  /**
+   * Returns a promise for true if the app is installed and the installed APK
+   * is the same as `apkPath`. The APKs are compared by their SHA-256 hashes.
+   * If the device cannot calculate hashes the version codes are compared
+   * instead. For split APKs only the base APK (the first one) is compared.
+   */
+  isInstalledAppUpToDate({deviceName, packageName, apkPath, versionCode}) {
+    deviceName = deviceName || this.deviceName;
+    apkPath = Array.isArray(apkPath) ? apkPath[0] : apkPath;
+
+    return this.installedApkPath({deviceName, packageName}).then(devicePath => {
+      if (!devicePath) {
+        return false;
+      }
+
+      return hashFile(apkPath).then(hash => {
+        return this
+          .execAdbShell({
+            deviceName,
+            args: ['sha256sum', devicePath]
+          })
+          .then(res => {
+            return res.stdout.trim().split(/\s/)[0] === hash;
+          }, () => {
+            // Old devices don't have sha256sum.
+            return this.installedVersionCode({deviceName, packageName}).then(installedVersionCode => {
+              return versionCode != null && installedVersionCode === versionCode;
+            });
+          });
+      });
     });
   }
 
-  startApp({deviceName, packageName}) {
+  uninstallApp({deviceName, packageName}) {
     deviceName = deviceName || this.deviceName;
 
     return this.execAdb({
       deviceName,
-      cmd: `shell monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`
+      args: ['uninstall', packageName]
     });
   }
 
-  grantPermissions({deviceName, packageName, permissions}) {
+  listPackages({deviceName} = {}) {
     deviceName = deviceName || this.deviceName;
-    // We only need to grant dangerous permissions.
-    const dangerous = permissions.filter(permission => DANGEROUS_PERMISSIONS.includes(permission));
 
-    return Promise.all(dangerous.map(permission => {
-      return this.execAdb({
+    return this
+      .execAdbShell({
         deviceName,
-        cmd: `shell pm grant ${packageName} ${permission}`
+        args: ['pm', 'list', 'packages']
+      })
+      .then(res => {
+        return res.stdout.split(/\r?\n/).map(it => it.trim()).filter(it => !!it);
       });
-    }))
   }
 
-  tcpPortForward({deviceName, hostPort, devicePort}) {
+  packageInfo({deviceName, packageName}) {
     deviceName = deviceName || this.deviceName;
 
-    return this.execAdb({
-      deviceName,
-      cmd: `forward tcp:${hostPort} tcp:${devicePort}`
-    });
-  }
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'package', packageName]
+      })
+      .then(res => {
+        const stdout = res.stdout;
+        const rows = stdout.split(/\r?\n/).map(row => row.trim());
+        const startIdx = rows.indexOf('requested permissions:');
 
-  reverseTcpPortForward({deviceName, hostPort, devicePort}) {
-    deviceName = deviceName || this.deviceName;
+        if (startIdx === -1) {
+          return {requestedPermissions: []};
+        }
 
-    return this.execAdb({
-      deviceName,
-      cmd: `reverse tcp:${devicePort} tcp:${hostPort}`
-    });
+        // The section ends at the next header like `install permissions:`.
+        const section = rows.slice(startIdx + 1);
+        const endIdx = section.findIndex(row => !row || row.endsWith(':'));
+
+        return {
+          requestedPermissions: (endIdx === -1 ? section : section.slice(0, endIdx))
+            .map(row => row.split(':')[0])
+        };
+      });
   }
 
-  execAdb({cmd, deviceName}) {
-    deviceName = deviceName || this.deviceName;
+  /**
+   * Reads information about an APK file without installing it. Uses
+   * `aapt2 dump badging` (or `aapt` from older build-tools) and falls back
+   * to `apkanalyzer`. The returned promise is resolved with an object like
+   * this:
+   *
+   * ```js
+   * {
+   *   packageName: 'fi.foo.bar',
+   *   versionCode: 12,
+   *   versionName: '1.2.0',
+   *   minSdkVersion: 21,
+   *   targetSdkVersion: 28,
+   *   requestedPermissions: ['android.permission.CAMERA'],
+   *   // null if the APK has no launcher activity or if the information
+   *   // was read using apkanalyzer.
+   *   launchableActivity: 'fi.foo.bar.MainActivity'
+   * }
+   * ```
+   *
+   * For split APKs (an array of paths) the base APK must be the first one.
+   * Android App Bundles are inspected using `bundleInfo`.
+   */
+  apkInfo({apkPath}) {
+    if (Array.isArray(apkPath)) {
+      apkPath = apkPath[0];
+    }
 
-    if (!deviceName) {
-      throw new Error('missing deviceName');
+    if (isBundle(apkPath)) {
+      return this.bundleInfo({bundlePath: apkPath});
+    }
+
+    const aaptPath = this.buildToolPath('aapt2') || this.buildToolPath('aapt');
+
+    if (aaptPath) {
+      return this.execTool(aaptPath, ['dump', 'badging', apkPath]).then(res => {
+        return parseBadging(res.stdout);
+      });
+    }
+
+    if (fs.existsSync(this.apkAnalyzerPath)) {
+      return this.apkInfoUsingApkAnalyzer({apkPath});
     }
 
-    return exec(`${this.adbPath} -s ${deviceName} ${cmd}`);
+    return Promise.reject(new Error('aapt2, aapt or apkanalyzer is needed to inspect APK files. Install the SDK build-tools'));
   }
 
-  spawn(...args) {
-    return childProcess.spawn(...args);
+  apkInfoUsingApkAnalyzer({apkPath}) {
+    const query = args => {
+      return this.execTool(this.apkAnalyzerPath, args.concat(apkPath)).then(res => res.stdout.trim());
+    };
+
+    return Promise.all([
+      query(['manifest', 'application-id']),
+      query(['manifest', 'version-code']),
+      query(['manifest', 'version-name']),
+      query(['manifest', 'min-sdk']),
+      query(['manifest', 'target-sdk']),
+      query(['manifest', 'permissions'])
+    ]).then(([packageName, versionCode, versionName, minSdkVersion, targetSdkVersion, permissions]) => {
+      return {
+        packageName,
+        versionCode: toInt(versionCode),
+        versionName: versionName || null,
+        minSdkVersion: toInt(minSdkVersion),
+        targetSdkVersion: toInt(targetSdkVersion),
+        requestedPermissions: permissions.split(/\r?\n/).map(it => it.trim()).filter(it => !!it),
+        launchableActivity: null
+      };
+    });
   }
-}
 
-function exec(cmd) {
-  return new Promise((resolve, reject) => {
-    childProcess.exec(cmd, {maxBuffer: 1024 * 1024}, (err, stdout, stderr) => {
-      if (err) {
-        reject(err);
-      } else {
-        if (stdout.toLowerCase().indexOf('error') === 0) {
-          reject(new Error(stdout));
-        } else if (stderr.trim().length !== 0) {
-          reject(new Error(stderr));
-        } else {
-          resolve({stdout, stderr});
-        }
-      }
+  /**
+   * Reads information about an Android App Bundle using bundletool. The
+   * result is like `apkInfo`'s. `launchableActivity` is always null.
+   */
+  bundleInfo({bundlePath}) {
+    const query = xpath => {
+      return this
+        .execBundletool(['dump', 'manifest', `--bundle=${bundlePath}`, `--xpath=${xpath}`])
+        .then(res => res.stdout.trim());
+    };
+
+    return Promise.all([
+      query('/manifest/@package'),
+      query('/manifest/@android:versionCode'),
+      query('/manifest/@android:versionName'),
+      query('/manifest/uses-sdk/@android:minSdkVersion'),
+      query('/manifest/uses-sdk/@android:targetSdkVersion'),
+      query('/manifest/uses-permission/@android:name')
+    ]).then(([packageName, versionCode, versionName, minSdkVersion, targetSdkVersion, permissions]) => {
+      return {
+        packageName,
+        versionCode: toInt(versionCode),
+        versionName: versionName || null,
+        minSdkVersion: toInt(minSdkVersion),
+        targetSdkVersion: toInt(targetSdkVersion),
+        requestedPermissions: permissions.split(/\r?\n/).map(it => it.trim()).filter(it => !!it),
+        launchableActivity: null
+      };
     });
-  });
+  }
+
+  /**
+   * Builds the APKs an Android App Bundle produces for the device into a
+   * temporary directory and calls `fn` with their paths. The directory is
+   * removed once the promise returned by `fn` is settled.
+   *
+   * ```js
+   * cmd.withApksFromBundle({bundlePath: '/path/to/app.aab'}, apkPaths => {
+   *   return cmd.installApp({packageName: 'fi.foo.bar', apkPath: apkPaths});
+   * });
+   * ```
+   */
+  withApksFromBundle({deviceName, bundlePath}, fn) {
+    deviceName = deviceName || this.deviceName;
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastest-server-'));
+    const specPath = path.join(tmpDir, 'device-spec.json');
+    const apksPath = path.join(tmpDir, 'app.apks');
+    const outputDir = path.join(tmpDir, 'apks');
+
+    const remove = () => removeDir(tmpDir);
+
+    return this
+      .execBundletool([
+        'get-device-spec',
+        `--adb=${this.adbPath}`,
+        `--device-id=${deviceName}`,
+        `--output=${specPath}`
+      ])
+      .then(() => {
+        // Only the APKs that match the device spec are built.
+        return this.execBundletool([
+          'build-apks',
+          `--bundle=${bundlePath}`,
+          `--device-spec=${specPath}`,
+          `--output=${apksPath}`
+        ]);
+      })
+      .then(() => {
+        return this.execBundletool([
+          'extract-apks',
+          `--apks=${apksPath}`,
+          `--device-spec=${specPath}`,
+          `--output-dir=${outputDir}`
+        ]);
+      })
+      .then(() => {
+        // The base APK goes first like in `installApp`'s `apkPath` array.
+        const apkPaths = fs.readdirSync(outputDir)
+          .filter(name => name.endsWith('.apk'))
+          .sort((a, b) => (b === 'base-master.apk') - (a === 'base-master.apk') || a.localeCompare(b))
+          .map(name => path.join(outputDir, name));
+
+        return fn(apkPaths);
+      })
+      .then(res => {
+        remove();
+        return res;
+      }, err => {
+        remove();
+        throw err;
+      });
+  }
+
+  execBundletool(args) {
+    if (!this.bundletoolPath) {
+      return Promise.reject(new Error('bundletool is needed for Android App Bundles. Set bundletoolPath or BUNDLETOOL_PATH'));
+    }
+
+    return this.execTool(this.javaPath, ['-jar', this.bundletoolPath].concat(args));
+  }
+
+  clearApp({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['pm', 'clear', packageName]
+    });
+  }
+
+  /**
+   * Starts the app. Without `activity` the app is launched like from the
+   * launcher. Otherwise the activity is started using `am start` with the
+   * given `extras` (see `startActivity`). `activity` may be relative to
+   * the package like '.MainActivity'.
+   */
+  startApp({deviceName, packageName, activity, extras}) {
+    deviceName = deviceName || this.deviceName;
+
+    if (!activity) {
+      return this.execAdbShell({
+        deviceName,
+        args: ['monkey', '-p', packageName, '-c', 'android.intent.category.LAUNCHER', '1']
+      });
+    }
+
+    return this.startActivity({
+      deviceName,
+      component: activity.includes('/') ? activity : `${packageName}/${activity}`,
+      extras,
+      wait: true
+    });
+  }
+
+  /**
+   * Starts an activity using `am start`. All options are optional:
+   *
+   * ```js
+   * cmd.startActivity({
+   *   action: 'android.intent.action.VIEW',
+   *   // Data URI, for example a deep link.
+   *   data: 'foo://bar/1',
+   *   component: 'fi.foo.bar/.MainActivity',
+   *   categories: ['android.intent.category.BROWSABLE'],
+   *   // Intent flags as a number or a hex string.
+   *   flags: 0x10000000,
+   *   // Typed extras. `type` is one of EXTRA_TYPES and defaults to 'string'.
+   *   extras: [
+   *     {key: 'userId', type: 'int', value: 1},
+   *     {key: 'tags', type: 'string[]', value: ['a', 'b']}
+   *   ],
+   *   // Wait until the activity has been launched.
+   *   wait: true
+   * });
+   * ```
+   */
+  startActivity(intent) {
+    const deviceName = intent.deviceName || this.deviceName;
+    const args = ['am', 'start'];
+
+    if (intent.wait) {
+      args.push('-W');
+    }
+
+    return this.execAdbShell({
+      deviceName,
+      args: args.concat(intentArgs(intent))
+    });
+  }
+
+  /**
+   * Sends a broadcast using `am broadcast`. Takes the same intent options
+   * as `startActivity`.
+   */
+  sendBroadcast(intent) {
+    const deviceName = intent.deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['am', 'broadcast'].concat(intentArgs(intent))
+    });
+  }
+
+  /**
+   * Returns a promise for true if the app's process is running.
+   */
+  isAppRunning({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['pidof', packageName]
+      })
+      .then(res => {
+        return !!res.stdout.trim();
+      }, err => {
+        // pidof exits with 1 if there's no such process.
+        if (err instanceof AdbError && err.exitCode === 1) {
+          return false;
+        }
+
+        throw err;
+      });
+  }
+
+  /**
+   * Returns a promise for true if an "Application Not Responding" dialog
+   * of the app is showing.
+   */
+  isAppNotResponding({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'window']
+      })
+      .then(res => {
+        const match = res.stdout.match(/mCurrentFocus=Window\{[^}]*Application Not Responding: ([\w.]+)\}/);
+        return !!match && match[1] === packageName;
+      });
+  }
+
+  /**
+   * Returns a promise for the latest crash (`type` 'crash') or ANR (`type`
+   * 'anr') report of the app in the device's dropbox or null if there is
+   * none. The report has the stack trace of the crash.
+   */
+  lastCrashReport({deviceName, packageName, type = 'crash'}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'dropbox', '--print', `data_app_${type}`],
+        // The dropbox keeps the reports of all apps for days.
+        maxBuffer: 64 * 1024 * 1024
+      })
+      .then(res => {
+        const reports = res.stdout.split(/^=+\s*$/m).filter(report => {
+          return report.split(/\r?\n/).some(line => line.trim() === `Process: ${packageName}`);
+        });
+
+        return reports.length !== 0 ? reports[reports.length - 1].trim() : null;
+      });
+  }
+
+  /**
+   * Returns a promise for the activity that has the focus like
+   * `{packageName: 'fi.foo.bar', activity: 'fi.foo.bar.MainActivity'}` or
+   * null if it cannot be determined.
+   */
+  currentActivity({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'window']
+      })
+      .then(res => {
+        const match = res.stdout.match(/mCurrentFocus=Window\{[^}]*?([\w.]+)\/([\w.$]+)\}/);
+
+        if (!match) {
+          return null;
+        }
+
+        return {
+          packageName: match[1],
+          activity: fullActivityName(match[1], match[2])
+        };
+      });
+  }
+
+  /**
+   * Waits until `activity` of `packageName` has the focus.
+   */
+  waitForActivity({deviceName, packageName, activity, timeout = 20000}) {
+    deviceName = deviceName || this.deviceName;
+
+    const expected = fullActivityName(packageName, activity);
+    const deadline = Date.now() + timeout;
+
+    const poll = () => {
+      return this.currentActivity({deviceName}).then(current => {
+        if (current && current.packageName === packageName && current.activity === expected) {
+          return;
+        }
+
+        if (Date.now() >= deadline) {
+          const found = current ? `${current.packageName}/${current.activity}` : 'none';
+          throw new Error(`activity ${expected} did not start in ${timeout} ms. The current activity is ${found}`);
+        }
+
+        return new Promise(resolve => setTimeout(resolve, 500)).then(poll);
+      });
+    };
+
+    return poll();
+  }
+
+  stopApp({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['am', 'force-stop', packageName]
+    });
+  }
+
+  grantPermissions({deviceName, packageName, permissions}) {
+    deviceName = deviceName || this.deviceName;
+    // We only need to grant dangerous permissions.
+    const dangerous = permissions.filter(permission => DANGEROUS_PERMISSIONS.includes(permission));
+
+    return Promise.all(dangerous.map(permission => {
+      return this.grantPermission({deviceName, packageName, permission});
+    }))
+  }
+
+  grantPermission({deviceName, packageName, permission}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['pm', 'grant', packageName, permission]
+    });
+  }
+
+  /**
+   * Revokes a runtime permission. Note that Android kills the app's process
+   * when one of its permissions is revoked.
+   */
+  revokePermission({deviceName, packageName, permission}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['pm', 'revoke', packageName, permission]
+    });
+  }
+
+  /**
+   * Returns a promise for the app's runtime permissions and whether they
+   * are granted:
+   *
+   * ```js
+   * [
+   *   {name: 'android.permission.CAMERA', granted: true},
+   *   {name: 'android.permission.RECORD_AUDIO', granted: false}
+   * ]
+   * ```
+   */
+  listPermissions({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['dumpsys', 'package', packageName]
+      })
+      .then(res => {
+        return parseRuntimePermissions(res.stdout);
+      });
+  }
+
+  /**
+   * Sets the mode of an app op, for example
+   * `cmd.setAppOp({packageName, op: 'SYSTEM_ALERT_WINDOW', mode: 'allow'})`.
+   * `mode` is one of 'allow', 'ignore', 'deny', 'default' and 'foreground'.
+   */
+  setAppOp({deviceName, packageName, op, mode}) {
+    deviceName = deviceName || this.deviceName;
+
+    if (!APP_OP_MODES.includes(mode)) {
+      return Promise.reject(new Error(`invalid app op mode ${mode}`));
+    }
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['appops', 'set', packageName, op, mode]
+    });
+  }
+
+  /**
+   * Returns a promise for the app ops that have been set for the app like
+   * `[{op: 'SYSTEM_ALERT_WINDOW', mode: 'allow'}]`.
+   */
+  listAppOps({deviceName, packageName}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdbShell({
+        deviceName,
+        args: ['appops', 'get', packageName]
+      })
+      .then(res => {
+        return parseAppOps(res.stdout);
+      });
+  }
+
+  /**
+   * Takes a screenshot. The returned promise is resolved with a Buffer
+   * containing a PNG image.
+   */
+  screenshot({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this
+      .execAdb({
+        deviceName,
+        // `exec-out` doesn't mangle line feeds like `shell` does.
+        args: ['exec-out', 'screencap', '-p'],
+        binary: true
+      })
+      .then(res => res.stdout);
+  }
+
+  /**
+   * Starts recording the screen to `devicePath` on the device and returns
+   * the ChildProcess of the recording. The recording stops after
+   * `timeLimit` seconds (180 at most) or when `stopScreenRecording` is
+   * called. `size` is like '1280x720'.
+   */
+  startScreenRecording({deviceName, devicePath, timeLimit, bitRate, size}) {
+    const args = ['screenrecord'];
+
+    if (timeLimit) {
+      args.push('--time-limit', String(timeLimit));
+    }
+
+    if (bitRate) {
+      args.push('--bit-rate', String(bitRate));
+    }
+
+    if (size) {
+      args.push('--size', size);
+    }
+
+    return this.spawnAdb({
+      deviceName,
+      args: ['shell'].concat(args.concat(devicePath).map(quoteShellArg))
+    });
+  }
+
+  /**
+   * Starts `adb logcat` in the threadtime format and returns its
+   * ChildProcess. If `tags` are given only the lines of those tags are
+   * logged. Otherwise only the lines of the app's process are logged. In
+   * that case logcat is started once the app's process is running and needs
+   * to be started again if the app is restarted. Filtering by the process
+   * needs Android 7.0 or newer.
+   */
+  startLogcat({deviceName, packageName, tags}) {
+    let command;
+
+    if (tags && tags.length !== 0) {
+      // `-T 1` skips the lines that were logged before us.
+      command = ['logcat', '-v', 'threadtime', '-T', '1', '-s']
+        .concat(tags.map(tag => `${tag}:V`))
+        .map(quoteShellArg)
+        .join(' ');
+    } else {
+      command = [
+        `while ! pid=$(pidof -s ${quoteShellArg(packageName)}); do sleep 0.2; done`,
+        'exec logcat -v threadtime --pid=$pid'
+      ].join('; ');
+    }
+
+    return this.spawnAdb({
+      deviceName,
+      args: ['shell', command]
+    });
+  }
+
+  /**
+   * Stops the screen recordings running on the device. screenrecord
+   * needs SIGINT to finish writing the video file.
+   */
+  stopScreenRecording({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['pkill', '-INT', 'screenrecord']
+    });
+  }
+
+  pullFile({deviceName, devicePath, hostPath}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdb({
+      deviceName,
+      args: ['pull', devicePath, hostPath]
+    });
+  }
+
+  removeDeviceFile({deviceName, devicePath}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdbShell({
+      deviceName,
+      args: ['rm', '-f', devicePath]
+    });
+  }
+
+  /**
+   * Joins videos into one using ffmpeg without re-encoding them.
+   */
+  concatVideos({inputPaths, outputPath}) {
+    const listPath = `${outputPath}.txt`;
+    const list = inputPaths.map(inputPath => `file '${inputPath.replace(/'/g, `'\\''`)}'`).join('\n');
+
+    fs.writeFileSync(listPath, list);
+
+    return this
+      .execTool(this.ffmpegPath, ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', outputPath])
+      .then(res => {
+        fs.unlinkSync(listPath);
+        return res;
+      }, err => {
+        fs.unlinkSync(listPath);
+        throw err;
+      });
+  }
+
+  tcpPortForward({deviceName, hostPort, devicePort}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdb({
+      deviceName,
+      args: ['forward', `tcp:${hostPort}`, `tcp:${devicePort}`]
+    });
+  }
+
+  removeTcpPortForward({deviceName, hostPort}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdb({
+      deviceName,
+      args: ['forward', '--remove', `tcp:${hostPort}`]
+    });
+  }
+
+  reverseTcpPortForward({deviceName, hostPort, devicePort}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdb({
+      deviceName,
+      args: ['reverse', `tcp:${devicePort}`, `tcp:${hostPort}`]
+    });
+  }
+
+  removeReverseTcpPortForwards({deviceName} = {}) {
+    deviceName = deviceName || this.deviceName;
+
+    return this.execAdb({
+      deviceName,
+      args: ['reverse', '--remove-all']
+    });
+  }
+
+  /**
+   * Runs an adb command. If `binary` is true the promise is resolved with
+   * stdout as a Buffer. `maxBuffer` is passed to `execFile`.
+   */
+  execAdb({args, deviceName, noDevice, binary, maxBuffer}) {
+    deviceName = deviceName || this.deviceName;
+
+    if (!noDevice) {
+      if (!deviceName) {
+        throw new Error('missing deviceName');
+      }
+
+      args = ['-s', deviceName].concat(args);
+    }
+
+    return this.withRetries(() => {
+      const startTime = Date.now();
+
+      return this.execFile(this.adbPath, args, {binary, maxBuffer}).then(res => {
+        this.logger.debug('adb', {
+          args: args.join(' '),
+          exitCode: res.exitCode,
+          durationMs: Date.now() - startTime
+        });
+
+        const stderr = String(res.stderr);
+        // Binary output cannot be searched for error messages.
+        const stdout = binary ? '' : res.stdout;
+        const err = parseAdbResult({args, exitCode: res.exitCode, stdout, stderr});
+
+        if (err) {
+          throw err;
+        }
+
+        return {
+          stdout: res.stdout,
+          stderr
+        };
+      }, err => {
+        // adb could not be run at all.
+        throw new AdbError({
+          args,
+          exitCode: null,
+          stdout: '',
+          stderr: '',
+          reason: err.message
+        });
+      });
+    });
+  }
+
+  /**
+   * Runs a command on the device using `adb shell`. adb joins the arguments
+   * and passes them to the device's shell so each of them is quoted here.
+   */
+  execAdbShell({args, deviceName, maxBuffer}) {
+    return this.execAdb({
+      deviceName,
+      args: ['shell'].concat(args.map(quoteShellArg)),
+      maxBuffer
+    });
+  }
+
+  /**
+   * Starts a long running adb command like `logcat` and returns its
+   * ChildProcess. The caller must read its stdout and stderr.
+   */
+  spawnAdb({args, deviceName}) {
+    deviceName = deviceName || this.deviceName;
+
+    if (!deviceName) {
+      throw new Error('missing deviceName');
+    }
+
+    this.logger.debug('adb started', {
+      args: ['-s', deviceName].concat(args).join(' ')
+    });
+
+    return this.spawn(this.adbPath, ['-s', deviceName].concat(args), {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  }
+
+  /**
+   * Calls `fn` again while the promise it returns is rejected with a
+   * transient AdbError, at most `retryPolicy.retries` times.
+   */
+  withRetries(fn, attempt = 0) {
+    return fn().catch(err => {
+      const policy = this.retryPolicy;
+
+      if (!(err instanceof AdbError) || !err.isTransient || attempt >= policy.retries) {
+        throw err;
+      }
+
+      const timeout = Math.min(policy.minTimeout * Math.pow(policy.factor, attempt), policy.maxTimeout);
+
+      this.logger.warn('retrying adb command', {
+        args: err.args.join(' '),
+        reason: err.reason,
+        attempt: attempt + 1,
+        delayMs: timeout
+      });
+
+      return new Promise(resolve => setTimeout(resolve, timeout)).then(() => {
+        return this.withRetries(fn, attempt + 1);
+      });
+    });
+  }
+
+  /**
+   * Runs an SDK tool other than adb. The returned promise is rejected if
+   * the tool exits with a non-zero code.
+   */
+  execTool(file, args, {input} = {}) {
+    const startTime = Date.now();
+
+    return this.execFile(file, args, {input}).then(res => {
+      this.logger.debug(path.basename(file), {
+        args: args.join(' '),
+        exitCode: res.exitCode,
+        durationMs: Date.now() - startTime
+      });
+
+      if (res.exitCode !== 0) {
+        const err = new Error(`${path.basename(file)} ${args.join(' ')} failed: ${res.stderr.trim() || res.stdout.trim()}`);
+
+        err.exitCode = res.exitCode;
+        err.stdout = res.stdout;
+        err.stderr = res.stderr;
+
+        throw err;
+      }
+
+      return {
+        stdout: res.stdout,
+        stderr: res.stderr
+      };
+    });
+  }
+
+  /**
+   * Runs `file` without a shell. The returned promise is resolved with
+   * `{exitCode, stdout, stderr}` whatever the exit code is and rejected
+   * if the process cannot be run at all. `input` is written to the
+   * process's stdin which is then closed. If `binary` is true stdout and
+   * stderr are Buffers. `maxBuffer` is the most output in bytes we read
+   * before the process is killed and the promise rejected.
+   */
+  execFile(file, args, {input, binary, maxBuffer} = {}) {
+    const options = binary
+      ? {maxBuffer: maxBuffer || 64 * 1024 * 1024, encoding: 'buffer'}
+      : {maxBuffer: maxBuffer || 1024 * 1024};
+
+    return new Promise((resolve, reject) => {
+      const child = childProcess.execFile(file, args, options, (err, stdout, stderr) => {
+        if (err && typeof err.code !== 'number') {
+          reject(err);
+        } else {
+          resolve({
+            exitCode: err ? err.code : 0,
+            stdout,
+            stderr
+          });
+        }
+      });
+
+      child.stdin.end(input);
+    });
+  }
+
+  spawn(...args) {
+    return childProcess.spawn(...args);
+  }
+}
+
+// Parses the output of `aapt2 dump badging`. Each line is a key followed
+// by `:` and either a quoted value or a list of name='value' attributes.
+function parseBadging(stdout) {
+  const info = {
+    packageName: null,
+    versionCode: null,
+    versionName: null,
+    minSdkVersion: null,
+    targetSdkVersion: null,
+    requestedPermissions: [],
+    launchableActivity: null
+  };
+
+  stdout.split(/\r?\n/).forEach(line => {
+    const sep = line.indexOf(':');
+
+    if (sep === -1) {
+      return;
+    }
+
+    const key = line.slice(0, sep).trim();
+    const rest = line.slice(sep + 1);
+    const attrs = {};
+    const attrRegex = /(\w+)='([^']*)'/g;
+    let match;
+
+    while ((match = attrRegex.exec(rest)) !== null) {
+      attrs[match[1]] = match[2];
+    }
+
+    const value = rest.trim().replace(/^'|'$/g, '');
+
+    if (key === 'package') {
+      info.packageName = attrs.name;
+      info.versionCode = toInt(attrs.versionCode);
+      info.versionName = attrs.versionName || null;
+    } else if (key === 'sdkVersion' || key === 'minSdkVersion') {
+      info.minSdkVersion = toInt(value);
+    } else if (key === 'targetSdkVersion') {
+      info.targetSdkVersion = toInt(value);
+    } else if (key === 'uses-permission') {
+      info.requestedPermissions.push(attrs.name);
+    } else if (key === 'launchable-activity' && !info.launchableActivity) {
+      info.launchableActivity = attrs.name;
+    }
+  });
+
+  return info;
+}
+
+// Parses the first `runtime permissions:` section of `dumpsys package`.
+// Each permission is on its own line like
+// `android.permission.CAMERA: granted=true, flags=[ USER_SET ]`.
+function parseRuntimePermissions(stdout) {
+  const lines = stdout.split(/\r?\n/).map(line => line.trim());
+  const start = lines.indexOf('runtime permissions:');
+
+  if (start === -1) {
+    return [];
+  }
+
+  const permissions = [];
+
+  for (let i = start + 1; i < lines.length; ++i) {
+    const match = lines[i].match(/^([\w.]+): granted=(true|false)/);
+
+    if (!match) {
+      break;
+    }
+
+    permissions.push({
+      name: match[1],
+      granted: match[2] === 'true'
+    });
+  }
+
+  return permissions;
+}
+
+// Parses the output of `appops get`. Lines look like
+// `CAMERA: allow; time=+1m2s ago` or `Uid mode: COARSE_LOCATION: ignore`.
+function parseAppOps(stdout) {
+  return stdout.split(/\r?\n/).map(line => {
+    return line.trim().replace(/^Uid mode: /, '').match(/^([A-Z][A-Z0-9_]*): ([a-z]+)\b/);
+  }).filter(match => !!match).map(match => {
+    return {
+      op: match[1],
+      mode: match[2]
+    };
+  });
+}
+
+// Builds the `am start` and `am broadcast` arguments of an intent.
+function intentArgs({action, data, component, categories, flags, extras}) {
+  const args = [];
+
+  if (action) {
+    args.push('-a', action);
+  }
+
+  if (data) {
+    args.push('-d', data);
+  }
+
+  if (component) {
+    args.push('-n', component);
+  }
+
+  (categories || []).forEach(category => {
+    args.push('-c', category);
+  });
+
+  if (flags !== undefined && flags !== null) {
+    args.push('-f', typeof flags === 'number' ? `0x${flags.toString(16)}` : String(flags));
+  }
+
+  (extras || []).forEach(({key, type = 'string', value}) => {
+    const option = EXTRA_OPTIONS[type];
+
+    if (!option) {
+      throw new Error(`unknown intent extra type ${type}`);
+    }
+
+    if (type === 'null') {
+      args.push(option, key);
+    } else if (Array.isArray(value)) {
+      // Commas inside string array items must be escaped.
+      args.push(option, key, value.map(item => String(item).replace(/,/g, '\\,')).join(','));
+    } else {
+      args.push(option, key, String(value));
+    }
+  });
+
+  return args;
+}
+
+// '.MainActivity' of 'fi.foo.bar' is 'fi.foo.bar.MainActivity'.
+function fullActivityName(packageName, activity) {
+  return activity.startsWith('.') ? packageName + activity : activity;
+}
+
+// `adb install` takes one APK and `adb install-multiple` the base APK
+// and its splits.
+function installArgs(apkPath, options) {
+  if (Array.isArray(apkPath)) {
+    return ['install-multiple'].concat(options, apkPath);
+  }
+
+  return ['install'].concat(options, apkPath);
+}
+
+function isBundle(appPath) {
+  return typeof appPath === 'string' && /\.aab$/i.test(appPath);
+}
+
+function removeDir(dirPath) {
+  fs.readdirSync(dirPath).forEach(name => {
+    const entryPath = path.join(dirPath, name);
+
+    if (fs.lstatSync(entryPath).isDirectory()) {
+      removeDir(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  });
+
+  fs.rmdirSync(dirPath);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function toInt(value) {
+  const int = parseInt(value, 10);
+  return isNaN(int) ? null : int;
+}
+
+// Compares version strings like '27.0.3' numerically.
+function compareVersions(a, b) {
+  const aParts = a.split(/[.-]/);
+  const bParts = b.split(/[.-]/);
+
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); ++i) {
+    const diff = (toInt(aParts[i]) || 0) - (toInt(bParts[i]) || 0);
+
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+// Collects the last `maxLength` characters a child process writes to
+// stdout and stderr. The pipes must be read anyway or the process blocks.
+function captureOutput(child, maxLength = 64 * 1024) {
+  let output = '';
+
+  const append = data => {
+    output = (output + data).slice(-maxLength);
+  };
+
+  child.stdout.on('data', append);
+  child.stderr.on('data', append);
+
+  return () => output;
+}
+
+function quoteShellArg(arg) {
+  arg = String(arg);
+
+  if (/^[\w@%+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
 }
 
 module.exports = {
-  AndroidCommandLineTools
+  AndroidCommandLineTools,
+  APP_OP_MODES,
+  EXTRA_TYPES,
+  isBundle
 };
\ No newline at end of file
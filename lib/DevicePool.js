@@ -0,0 +1,271 @@
+const { SessionNotCreatedError } = require('./errors');
+
+const FIRST_EMULATOR_PORT = 5554;
+const LAST_EMULATOR_PORT = 5682;
+
+class DevicePool {
+
+  /**
+   * Keeps track of the devices the server can run sessions on and which
+   * of them are currently in use.
+   *
+   * ```js
+   * const pool = new DevicePool({
+   *   devices: [
+   *     // An emulator. It is started using `startDevice` if none of the
+   *     // running devices is free.
+   *     {avdName: 'Nexus_5X_API_23', platformVersion: '6.0'},
+   *
+   *     // An emulator that is created if the AVD doesn't exist. See
+   *     // `AndroidCommandLineTools.createAvd` for the options.
+   *     {avdName: 'Pixel_API_28', platformVersion: '9', apiLevel: 28, deviceProfile: 'pixel'},
+   *
+   *     // A connected phone or an emulator that is started manually.
+   *     {deviceName: '0123456789ABCDEF', platformVersion: '7.1.1'}
+   *   ]
+   * });
+   * ```
+   *
+   * `platformVersion` is optional. A device without one matches any
+   * requested version.
+   *
+   * If no devices are configured, the client must give the `deviceName`
+   * (and optionally `avdName`) in the capabilities like before. The pool
+   * then only makes sure that two sessions never use the same device.
+   *
+   * `listRunningDevices` is a function that returns a promise for the
+   * device names of the running devices. `queueTimeout` is the number of
+   * milliseconds a request waits for a free device before giving up. Zero
+   * means that only the devices that are free right away are used.
+   */
+  constructor({devices, listRunningDevices, queueTimeout} = {}) {
+    this.devices = (devices || []).map(device => {
+      return {
+        deviceName: device.deviceName || null,
+        avdName: device.avdName || null,
+        platformVersion: device.platformVersion || null,
+        port: null,
+        session: null,
+        // The original configuration with the rest of the options.
+        config: device
+      };
+    });
+
+    this.adHocDevices = [];
+    this.listRunningDevices = listRunningDevices;
+    this.queueTimeout = queueTimeout === undefined ? 5 * 60 * 1000 : queueTimeout;
+
+    // Requests waiting for a free device in the order they arrived.
+    this.queue = [];
+    this.processingQueue = null;
+    this.processQueueAgain = false;
+  }
+
+  get isConfigured() {
+    return this.devices.length !== 0;
+  }
+
+  /**
+   * Waits until a device that matches `caps` is free, marks it busy and
+   * returns a promise for `{device, runningDevices}`. If the device is
+   * not in `runningDevices` it needs to be started.
+   *
+   * Requests are served in the order they arrive. The promise is rejected
+   * with a `SessionNotCreatedError` if no device becomes free in
+   * `queueTimeout` milliseconds.
+   */
+  acquire({caps, session}) {
+    if (this.isConfigured && !this.devices.some(device => deviceMatches(device, caps))) {
+      return Promise.reject(new SessionNotCreatedError('no device in the pool matches the requested capabilities'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {caps, session, resolve, reject};
+
+      this.queue.push(request);
+
+      // The timeout starts once the free devices have been checked so that
+      // a zero timeout doesn't fail before the running devices are listed.
+      this.processQueue().then(() => {
+        if (!this.queue.includes(request)) {
+          return;
+        }
+
+        request.timeout = setTimeout(() => {
+          this.queue = this.queue.filter(it => it !== request);
+          reject(new SessionNotCreatedError(`no matching device became free in ${this.queueTimeout} ms`));
+        }, this.queueTimeout);
+      });
+    });
+  }
+
+  processQueue() {
+    if (this.processingQueue) {
+      // Devices may have been released after the running devices were
+      // listed. Go through the queue once more when we are done.
+      this.processQueueAgain = true;
+      return this.processingQueue;
+    }
+
+    this.processingQueue = this.listRunningDevices().then(runningDevices => {
+      this.queue.slice().forEach(request => {
+        const device = this.reserve({
+          caps: request.caps,
+          session: request.session,
+          runningDevices
+        });
+
+        if (device) {
+          this.dequeue(request);
+          request.resolve({device, runningDevices});
+        }
+      });
+    }).catch(err => {
+      this.rejectQueued(err);
+    }).then(() => {
+      this.processingQueue = null;
+
+      if (this.processQueueAgain) {
+        this.processQueueAgain = false;
+        return this.processQueue();
+      }
+    });
+
+    return this.processingQueue;
+  }
+
+  /**
+   * Rejects all requests that are waiting for a device with `err`.
+   */
+  rejectQueued(err) {
+    this.queue.slice().forEach(request => {
+      this.dequeue(request);
+      request.reject(err);
+    });
+  }
+
+  dequeue(request) {
+    clearTimeout(request.timeout);
+    this.queue = this.queue.filter(it => it !== request);
+  }
+
+  /**
+   * Marks a free device that matches `caps` busy and returns it. Devices
+   * that are already running are preferred over ones that need to be
+   * booted. Returns null if no device is free.
+   */
+  reserve({caps, runningDevices, session}) {
+    const device = this.isConfigured
+      ? this.findFreeDevice(caps, runningDevices)
+      : this.createAdHocDevice(caps);
+
+    if (!device) {
+      return null;
+    }
+
+    if (!device.deviceName) {
+      // An emulator's device name is determined by the console port it
+      // is started with.
+      device.port = this.freeEmulatorPort(runningDevices);
+      device.deviceName = `emulator-${device.port}`;
+    }
+
+    device.session = session;
+    return device;
+  }
+
+  /**
+   * Marks a device free. `stopped` tells that the device's emulator is no
+   * longer running. An emulator of the pool then gets a free console port
+   * again when it is reserved the next time.
+   */
+  release(device, {stopped = false} = {}) {
+    device.session = null;
+
+    if (stopped && device.avdName && !device.config.deviceName) {
+      device.deviceName = null;
+      device.port = null;
+    }
+
+    this.adHocDevices = this.adHocDevices.filter(it => it !== device);
+
+    if (this.queue.length !== 0) {
+      this.processQueue();
+    }
+  }
+
+  findFreeDevice(caps, runningDevices) {
+    const candidates = this.devices.filter(device => {
+      return !device.session && deviceMatches(device, caps);
+    });
+
+    return candidates.find(device => runningDevices.includes(device.deviceName))
+      || candidates.find(device => !!device.avdName)
+      || null;
+  }
+
+  createAdHocDevice(caps) {
+    const isBusy = this.adHocDevices.some(device => device.deviceName === caps.deviceName);
+
+    if (isBusy) {
+      return null;
+    }
+
+    const device = {
+      deviceName: caps.deviceName,
+      avdName: caps.avdName || null,
+      platformVersion: caps.platformVersion || null,
+      port: null,
+      session: null,
+      config: {}
+    };
+
+    this.adHocDevices.push(device);
+    return device;
+  }
+
+  freeEmulatorPort(runningDevices) {
+    const usedDeviceNames = runningDevices.concat(this.devices.map(device => device.deviceName));
+
+    for (let port = FIRST_EMULATOR_PORT; port <= LAST_EMULATOR_PORT; port += 2) {
+      if (!usedDeviceNames.includes(`emulator-${port}`)) {
+        return port;
+      }
+    }
+
+    throw new Error('no free emulator ports');
+  }
+}
+
+function deviceMatches(device, caps) {
+  if (caps.platformVersion && device.platformVersion) {
+    if (!versionMatches(device.platformVersion, caps.platformVersion)) {
+      return false;
+    }
+  }
+
+  if (caps.deviceName) {
+    const pattern = patternToRegex(caps.deviceName);
+    return pattern.test(device.deviceName || '') || pattern.test(device.avdName || '');
+  }
+
+  return true;
+}
+
+// '6' matches '6.0.1' but '6.0.1' doesn't match '6'.
+function versionMatches(version, requestedVersion) {
+  const parts = String(version).split('.');
+  const requestedParts = String(requestedVersion).split('.');
+
+  return requestedParts.every((part, idx) => part === (parts[idx] || '0'));
+}
+
+// Device names may contain `*` wildcards.
+function patternToRegex(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+module.exports = {
+  DevicePool
+};
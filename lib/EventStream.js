@@ -0,0 +1,58 @@
+class EventStream {
+
+  /**
+   * A Server-Sent Events response.
+   *
+   * ```js
+   * const stream = new EventStream({req, res});
+   *
+   * stream.send('phase', {name: 'install', status: 'running'});
+   * stream.onClose(() => unsubscribe());
+   * // Ends the response. Also called when the client disconnects.
+   * stream.close();
+   * ```
+   */
+  constructor({req, res, keepAliveInterval = 15000}) {
+    this.res = res;
+    this.closed = false;
+    this.closeListeners = [];
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    res.flushHeaders();
+
+    // Proxies and browsers drop connections that stay quiet for too long.
+    this.keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval);
+
+    req.on('close', () => this.close());
+  }
+
+  send(event, data) {
+    if (!this.closed) {
+      this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  onClose(fn) {
+    this.closeListeners.push(fn);
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    clearInterval(this.keepAlive);
+    this.closeListeners.forEach(fn => fn());
+    this.res.end();
+  }
+}
+
+module.exports = {
+  EventStream
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+// WebDriver log levels of logcat priorities.
+const LEVELS = {
+  V: 'ALL',
+  D: 'DEBUG',
+  I: 'INFO',
+  W: 'WARNING',
+  E: 'SEVERE',
+  F: 'SEVERE',
+  A: 'SEVERE'
+};
+
+class LogcatCapture {
+
+  /**
+   * Collects the logcat lines of an app while a session is running.
+   *
+   * ```js
+   * const logcat = new LogcatCapture({
+   *   cmd,
+   *   packageName: 'fi.foo.bar',
+   *   // Optional. Log these tags instead of the lines of the app's process.
+   *   tags: ['OkHttp', 'ReactNativeJS'],
+   *   // The oldest lines are dropped when the buffered lines take more
+   *   // characters than this.
+   *   maxBufferSize: 2 * 1024 * 1024
+   * });
+   *
+   * logcat.start();
+   * // The lines logged since the last call as WebDriver log entries.
+   * const entries = logcat.takeEntries();
+   * ```
+   */
+  constructor({cmd, packageName, tags, maxBufferSize}) {
+    this.cmd = cmd;
+    this.packageName = packageName;
+    this.tags = tags || [];
+    this.maxBufferSize = maxBufferSize || 2 * 1024 * 1024;
+
+    this.entries = [];
+    this.bufferSize = 0;
+    // Index of the first entry that hasn't been taken using `takeEntries`.
+    this.readIndex = 0;
+    this.process = null;
+    this.partialLine = '';
+  }
+
+  get followsProcess() {
+    return this.tags.length === 0;
+  }
+
+  start() {
+    const child = this.cmd.startLogcat({
+      packageName: this.packageName,
+      tags: this.tags
+    });
+
+    // A chunk may end in the middle of a multibyte character.
+    const decoder = new StringDecoder('utf8');
+
+    child.stdout.on('data', data => this.append(decoder.write(data)));
+    // The pipe must be read or logcat blocks.
+    child.stderr.on('data', () => {});
+
+    const onExit = () => {
+      if (this.process === child) {
+        this.process = null;
+      }
+    };
+
+    child.on('exit', onExit);
+
+    // For example adb was not found. A ChildProcess that fails to start
+    // emits `error` instead of `exit`.
+    child.on('error', err => {
+      this.cmd.logger.warn('logcat failed', {error: err.message});
+      onExit();
+    });
+
+    this.process = child;
+  }
+
+  /**
+   * Starts logcat again for the new process of a restarted app. Logcat that
+   * follows tags keeps running.
+   */
+  restart() {
+    if (this.process && !this.followsProcess) {
+      return Promise.resolve();
+    }
+
+    return this.stop().then(() => this.start());
+  }
+
+  stop() {
+    const child = this.process;
+
+    if (!child) {
+      return Promise.resolve();
+    }
+
+    this.process = null;
+
+    return new Promise(resolve => {
+      child.once('exit', () => resolve());
+      child.once('error', () => resolve());
+      child.kill();
+    });
+  }
+
+  append(data) {
+    const lines = (this.partialLine + data).split(/\r?\n/);
+    this.partialLine = lines.pop();
+
+    lines.filter(line => !!line.trim()).forEach(line => {
+      this.entries.push(parseLine(line));
+      this.bufferSize += line.length;
+    });
+
+    while (this.bufferSize > this.maxBufferSize && this.entries.length !== 0) {
+      this.bufferSize -= this.entries.shift().message.length;
+      this.readIndex = Math.max(0, this.readIndex - 1);
+    }
+  }
+
+  /**
+   * Returns the entries logged since the last call like
+   * `[{timestamp: 1508412896789, level: 'INFO', message: '...'}]`.
+   */
+  takeEntries() {
+    const entries = this.entries.slice(this.readIndex);
+    this.readIndex = this.entries.length;
+    return entries;
+  }
+
+  /**
+   * Writes all buffered lines to a file.
+   */
+  writeToFile(filePath) {
+    const text = this.entries.map(entry => `${entry.message}\n`).join('');
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(filePath, text, err => err ? reject(err) : resolve());
+    });
+  }
+}
+
+// Parses a line in the threadtime format:
+// `10-19 12:34:56.789  1234  1250 I Tag: message`.
+function parseLine(line) {
+  const match = line.match(/^(\d\d)-(\d\d) (\d\d):(\d\d):(\d\d)\.(\d{3})\s+\d+\s+\d+ ([VDIWEFA]) /);
+
+  if (!match) {
+    // For example `--------- beginning of main`.
+    return {
+      timestamp: Date.now(),
+      level: 'INFO',
+      message: line
+    };
+  }
+
+  const parts = match.slice(1, 7).map(part => parseInt(part, 10));
+  // The lines don't have the year.
+  const date = new Date(new Date().getFullYear(), parts[0] - 1, parts[1], parts[2], parts[3], parts[4], parts[5]);
+
+  return {
+    timestamp: date.getTime(),
+    level: LEVELS[match[7]],
+    message: line
+  };
+}
+
+module.exports = {
+  LogcatCapture
+};
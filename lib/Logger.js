@@ -0,0 +1,124 @@
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+const FORMATS = ['text', 'json'];
+
+class Logger {
+
+  /**
+   * A minimal structured logger. Each entry has a level, a message and
+   * fields like the session id and the request id.
+   *
+   * ```js
+   * const logger = new Logger({
+   *   // One of 'silent', 'error', 'warn', 'info' and 'debug'.
+   *   level: 'info',
+   *   // 'text' or 'json'. JSON entries are written one per line.
+   *   format: 'json',
+   *   // Anything with a `write` method. Defaults to process.stderr.
+   *   output: process.stderr
+   * });
+   *
+   * const sessionLogger = logger.child({sessionId: session.id});
+   * sessionLogger.info('app installed', {durationMs: 1234});
+   * ```
+   *
+   * The server accepts any object that has the `error`, `warn`, `info`,
+   * `debug` and `child` methods as its logger.
+   */
+  constructor({level = 'info', format = 'text', output = process.stderr, fields = {}} = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`log level must be one of ${LEVELS.join(', ')}`);
+    }
+
+    if (!FORMATS.includes(format)) {
+      throw new Error(`log format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.output = output;
+    this.fields = fields;
+  }
+
+  /**
+   * Returns a logger that adds `fields` to each entry.
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      output: this.output,
+      fields: Object.assign({}, this.fields, fields)
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  log(level, message, fields) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = Object.assign({
+      time: new Date().toISOString(),
+      level,
+      message
+    }, this.fields, fields);
+
+    this.output.write(`${this.format === 'json' ? JSON.stringify(entry) : formatText(entry)}\n`);
+  }
+}
+
+/**
+ * Runs `fn` and logs `message` with the number of milliseconds it took
+ * (`durationMs`). Failures are logged as errors. Returns the promise `fn`
+ * returns.
+ *
+ * ```js
+ * timed(logger, 'install app', () => cmd.installApp(app));
+ * ```
+ */
+function timed(logger, message, fn, level = 'info') {
+  const startTime = Date.now();
+
+  return Promise.resolve().then(fn).then(res => {
+    logger[level](message, {durationMs: Date.now() - startTime});
+    return res;
+  }, err => {
+    logger.error(`${message} failed`, {durationMs: Date.now() - startTime, error: err.message});
+    throw err;
+  });
+}
+
+// `2017-10-19T12:34:56.789Z INFO app installed sessionId=123 durationMs=1234`
+function formatText(entry) {
+  const fields = Object.keys(entry)
+    .filter(key => !['time', 'level', 'message'].includes(key) && entry[key] !== undefined)
+    .map(key => `${key}=${typeof entry[key] === 'string' ? entry[key] : JSON.stringify(entry[key])}`);
+
+  return [entry.time, entry.level.toUpperCase(), entry.message].concat(fields).join(' ');
+}
+
+module.exports = {
+  Logger,
+  LEVELS,
+  FORMATS,
+  timed
+};
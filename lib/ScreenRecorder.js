@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// screenrecord cannot record longer than this many seconds at a time.
+const SEGMENT_TIME_LIMIT = 180;
+// A segment that ends sooner than this was not stopped by the time limit.
+const MIN_SEGMENT_DURATION = 1000;
+
+class ScreenRecorder {
+
+  /**
+   * Records the screen of a device using `screenrecord`.
+   *
+   * screenrecord stops after three minutes so longer recordings are made
+   * of segments that are started one after another. When the recording is
+   * stopped the segments are pulled from the device and joined into one
+   * video.
+   *
+   * ```js
+   * const recorder = new ScreenRecorder({
+   *   cmd,
+   *   // Used in the names of the files on the device.
+   *   name: session.id,
+   *   // Maximum length of the whole recording in seconds.
+   *   timeLimit: 1800,
+   *   bitRate: 4000000,
+   *   size: '720x1280'
+   * });
+   *
+   * recorder.start();
+   *
+   * recorder.stop().then(video => {
+   *   // `video` is a Buffer containing an mp4 video.
+   * });
+   * ```
+   */
+  constructor({cmd, name, timeLimit, bitRate, size}) {
+    this.cmd = cmd;
+    this.name = name;
+    this.timeLimit = timeLimit || 1800;
+    this.bitRate = bitRate;
+    this.size = size;
+
+    this.devicePaths = [];
+    this.segment = null;
+    this.startedAt = null;
+    this.stopping = false;
+    this.error = null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.startSegment();
+  }
+
+  startSegment() {
+    const elapsed = (Date.now() - this.startedAt) / 1000;
+    const timeLimit = Math.min(SEGMENT_TIME_LIMIT, Math.ceil(this.timeLimit - elapsed));
+
+    if (timeLimit <= 0) {
+      return;
+    }
+
+    const devicePath = `/sdcard/fastest-${this.name}-${this.devicePaths.length}.mp4`;
+    const segmentStartedAt = Date.now();
+    let output = '';
+
+    const segment = this.cmd.startScreenRecording({
+      devicePath,
+      timeLimit,
+      bitRate: this.bitRate,
+      size: this.size
+    });
+
+    const append = data => {
+      output = (output + data).slice(-4096);
+    };
+
+    segment.stdout.on('data', append);
+    segment.stderr.on('data', append);
+
+    let exited = false;
+
+    const onExit = () => {
+      if (exited) {
+        return;
+      }
+
+      exited = true;
+      this.segment = null;
+
+      if (this.stopping) {
+        return;
+      }
+
+      if (Date.now() - segmentStartedAt < MIN_SEGMENT_DURATION) {
+        // Don't start new segments in a loop if screenrecord doesn't work.
+        this.error = new Error(`screenrecord failed: ${output.trim()}`);
+        return;
+      }
+
+      this.startSegment();
+    };
+
+    segment.on('exit', onExit);
+
+    // A ChildProcess that fails to start emits `error` instead of `exit`.
+    segment.on('error', err => {
+      append(err.message);
+      onExit();
+    });
+
+    this.devicePaths.push(devicePath);
+    this.segment = segment;
+  }
+
+  /**
+   * Stops the recording and returns a promise for the video as a Buffer.
+   */
+  stop() {
+    this.stopping = true;
+
+    return this.stopSegment().then(() => {
+      if (this.error) {
+        throw this.error;
+      }
+
+      return this.collect();
+    }).then(video => {
+      return this.removeDeviceFiles().then(() => video);
+    }, err => {
+      return this.removeDeviceFiles().then(() => {
+        throw err;
+      });
+    });
+  }
+
+  /**
+   * Stops the recording and throws the video away.
+   */
+  discard() {
+    this.stopping = true;
+
+    return this.stopSegment().then(() => {
+      return this.removeDeviceFiles();
+    });
+  }
+
+  stopSegment() {
+    const segment = this.segment;
+
+    if (!segment) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      // Kill the adb process if screenrecord doesn't stop.
+      const timeout = setTimeout(() => segment.kill(), 10000);
+
+      const done = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+
+      segment.once('exit', done);
+      segment.once('error', done);
+
+      this.cmd.stopScreenRecording().catch(() => {
+        segment.kill();
+      });
+    });
+  }
+
+  collect() {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastest-recording-'));
+    const hostPaths = this.devicePaths.map((devicePath, idx) => path.join(tmpDir, `segment-${idx}.mp4`));
+    const outputPath = path.join(tmpDir, 'recording.mp4');
+
+    const removeTmpDir = () => {
+      fs.readdirSync(tmpDir).forEach(name => fs.unlinkSync(path.join(tmpDir, name)));
+      fs.rmdirSync(tmpDir);
+    };
+
+    return this.devicePaths.reduce((promise, devicePath, idx) => {
+      return promise.then(() => this.cmd.pullFile({devicePath, hostPath: hostPaths[idx]}));
+    }, Promise.resolve()).then(() => {
+      if (hostPaths.length === 1) {
+        return hostPaths[0];
+      }
+
+      return this.cmd.concatVideos({inputPaths: hostPaths, outputPath}).then(() => outputPath);
+    }).then(videoPath => {
+      const video = fs.readFileSync(videoPath);
+      removeTmpDir();
+      return video;
+    }, err => {
+      removeTmpDir();
+      throw err;
+    });
+  }
+
+  removeDeviceFiles() {
+    const devicePaths = this.devicePaths;
+    this.devicePaths = [];
+
+    return devicePaths.reduce((promise, devicePath) => {
+      // Leftover files are not worth failing for.
+      return promise.then(() => this.cmd.removeDeviceFile({devicePath}).catch(() => {}));
+    }, Promise.resolve());
+  }
+}
+
+module.exports = {
+  ScreenRecorder
+};
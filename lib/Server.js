@@ -1,7 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const EventEmitter = require('events');
 const express = require('express');
-const request = require('yaquest');
 const bodyParser = require('body-parser');
-const { AndroidCommandLineTools } = require('./AndroidCommandLineTools');
+const {
+  AndroidCommandLineTools,
+  APP_OP_MODES,
+  EXTRA_TYPES,
+  isBundle
+} = require('./AndroidCommandLineTools');
+const { Session } = require('./Session');
+const { ScreenRecorder } = require('./ScreenRecorder');
+const { LogcatCapture } = require('./LogcatCapture');
+const { Logger, timed } = require('./Logger');
+const { EventStream } = require('./EventStream');
+const { sendRequest, readBody, forwardedHeaders, isJson } = require('./proxy');
+const { DevicePool } = require('./DevicePool');
+const { parseNewSessionRequest } = require('./capabilities');
+const {
+  WebDriverError,
+  InvalidArgumentError,
+  InvalidSessionIdError,
+  SessionNotCreatedError,
+  AppCrashedError,
+  UnknownError
+} = require('./errors');
+const { version } = require('../package.json');
+
+const INSTALL_STRATEGIES = ['always', 'ifChanged', 'never'];
+const INTENT_COMMANDS = ['start', 'broadcast'];
+// How many ids of expired sessions are remembered for error messages.
+const MAX_EXPIRED_SESSIONS = 1000;
+// How many forwarded commands are kept for the dashboard.
+const MAX_RECENT_COMMANDS = 200;
+// Dashboards get the same screenshot of a device for this many milliseconds
+// so that many open dashboards don't keep adb busy.
+const SCREENSHOT_MAX_AGE = 2000;
 
 class Server {
 
@@ -9,41 +44,272 @@ class Server {
     return AndroidCommandLineTools;
   }
 
-  constructor({port, appServerPort, localAppServerPort, rootPath, sdkPath} = {}) {
+  constructor({
+    port,
+    appServerPort,
+    localAppServerPort,
+    rootPath,
+    sdkPath,
+    devices,
+    sessionQueueTimeout,
+    adbRetryPolicy,
+    bundletoolPath,
+    ffmpegPath,
+    logcatDir,
+    commandTimeout,
+    newCommandTimeout,
+    stopTimeout,
+    dashboardPath,
+    logger,
+    logLevel,
+    logFormat
+  } = {}) {
     this.port = port || 4723;
     this.appServerPort = appServerPort || 7100;
     this.localAppServerPort = localAppServerPort || 6100;
     this.rootPath = rootPath || '/wd/hub';
     this.sdkPath = sdkPath;
+    this.adbRetryPolicy = adbRetryPolicy;
+    this.bundletoolPath = bundletoolPath;
+    this.ffmpegPath = ffmpegPath;
+    // Directory of the files written using the `logcatFile` capability.
+    this.logcatDir = logcatDir || null;
+    this.commandTimeout = commandTimeout === undefined ? 60000 : commandTimeout;
+    this.newCommandTimeout = newCommandTimeout === undefined ? 60 : newCommandTimeout;
+    this.stopTimeout = stopTimeout === undefined ? 30000 : stopTimeout;
+    // `false` disables the dashboard.
+    this.dashboardPath = dashboardPath === undefined ? '/dashboard' : dashboardPath;
+    this.logger = logger || new Logger({level: logLevel, format: logFormat});
 
-    this.caps = null;
-    this.appInfo = null;
+    this.sessions = new Map();
+    // Sessions that are being torn down. They keep their local app server
+    // port until the port forward has been removed.
+    this.endingSessions = new Set();
+    // Error messages for the ids of sessions that were ended because they
+    // were idle for too long.
+    this.expiredSessions = new Map();
+    // Emits `session`, `phase` and `command` events for the event streams.
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.eventStreams = new Set();
+    // The latest forwarded commands, newest last.
+    this.recentCommands = [];
+    // Promises for the latest screenshot of each device by device name.
+    this.screenshots = new Map();
+    // Emulators started by us by device name.
+    this.emulators = new Map();
+    this.devicePool = new DevicePool({
+      devices,
+      queueTimeout: sessionQueueTimeout,
+      listRunningDevices: () => this.createAndroidCommandLineTools().listRunningDevices()
+    });
 
     this.app = this.createExpress();
     this.server = null;
+    // Session creations and app resets that are running.
+    this.pipelines = new Set();
+    // A promise for the end of `stop`.
+    this.stopping = null;
   }
 
   start() {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
       this.server = this.app.listen(this.port, resolve);
+      // For example the port is already in use.
+      this.server.once('error', reject);
     });
   }
 
+  /**
+   * Stops the server and cleans up everything it created on the host and
+   * on the devices.
+   *
+   * New sessions are refused and requests waiting for a free device are
+   * rejected. Sessions that are being created are aborted at the start of
+   * the next phase. The running session creations and app resets get
+   * `stopTimeout` milliseconds to finish. Then all sessions are ended,
+   * which stops the apps and removes the port forwards, and the emulators
+   * started by the server are shut down.
+   */
   stop() {
-    return new Promise(resolve => this.server.close(resolve));
+    if (this.stopping) {
+      return this.stopping;
+    }
+
+    const stoppingError = new SessionNotCreatedError('the server is stopping');
+
+    this.logger.info('stopping server', {
+      sessions: this.sessions.size,
+      pipelines: this.pipelines.size
+    });
+
+    this.devicePool.rejectQueued(stoppingError);
+
+    this.stopping = this.waitForPipelines().then(() => {
+      const sessions = Array.from(this.sessions.values());
+      return Promise.all(sessions.map(session => this.endSession(session)));
+    }).then(() => {
+      const emulators = Array.from(this.emulators.keys());
+      return Promise.all(emulators.map(deviceName => this.stopEmulator(deviceName)));
+    }).then(() => {
+      // The server cannot close while the streams are open.
+      this.eventStreams.forEach(stream => stream.close());
+
+      if (!this.server) {
+        return;
+      }
+
+      return new Promise(resolve => {
+        this.server.close(() => resolve());
+
+        // Requests still running after the deadline are cut off. Older
+        // Node versions wait for them.
+        if (this.server.closeAllConnections) {
+          this.server.closeAllConnections();
+        }
+      });
+    }).then(() => {
+      this.logger.info('server stopped');
+    });
+
+    return this.stopping;
+  }
+
+  /**
+   * Resolves when the running pipelines have finished or `stopTimeout`
+   * milliseconds have passed.
+   */
+  waitForPipelines() {
+    if (this.pipelines.size === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        this.logger.warn('pipelines did not finish before stopTimeout', {
+          pipelines: this.pipelines.size,
+          stopTimeout: this.stopTimeout
+        });
+
+        resolve();
+      }, this.stopTimeout);
+
+      Promise.all(Array.from(this.pipelines).map(reflect)).then(() => {
+        clearTimeout(timeout);
+        resolve();
+      });
+    });
+  }
+
+  trackPipeline(promise) {
+    this.pipelines.add(promise);
+
+    return reflect(promise).then(() => {
+      this.pipelines.delete(promise);
+    });
   }
 
   createExpress() {
-    const app = express().use(bodyParser.json());
+    const app = express();
+
+    app.use((req, res, next) => {
+      this.traceRequest(req, res, next);
+    });
+
+    app.use(bodyParser.json());
 
     app.post(`${this.rootPath}/session`, (req, res, next) => {
       this.createSession(req, res, next);
     });
 
+    app.get(`${this.rootPath}/fastest/events`, (req, res, next) => {
+      this.streamEvents(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/status`, (req, res, next) => {
+      this.getStatus(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/sessions`, (req, res, next) => {
+      this.getSessions(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/fastest/devices`, (req, res, next) => {
+      this.getDevices(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/fastest/devices/:deviceName/screenshot`, (req, res, next) => {
+      this.getDeviceScreenshot(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/fastest/commands`, (req, res, next) => {
+      this.getRecentCommands(req, res, next);
+    });
+
+    if (this.dashboardPath) {
+      app.get(this.dashboardPath, (req, res, next) => {
+        this.getDashboard(req, res, next);
+      });
+    }
+
+    // Registered before `findSession` so that streaming the events of a
+    // session that is being created doesn't touch its logger.
+    app.get(`${this.rootPath}/session/:id/fastest/events`, (req, res, next) => {
+      this.streamSessionEvents(req, res, next);
+    });
+
+    app.use(`${this.rootPath}/session/:id`, (req, res, next) => {
+      this.findSession(req, res, next);
+    });
+
+    app.delete(`${this.rootPath}/session/:id`, (req, res, next) => {
+      this.deleteSession(req, res, next);
+    });
+
     app.post(`${this.rootPath}/session/:id/appium/app/reset`, (req, res, next) => {
       this.resetApp(req, res, next);
     });
 
+    app.get(`${this.rootPath}/session/:id/fastest/permissions`, (req, res, next) => {
+      this.getPermissions(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/log`, (req, res, next) => {
+      this.getLog(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/session/:id/screenshot`, (req, res, next) => {
+      this.takeScreenshot(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/appium/start_recording_screen`, (req, res, next) => {
+      this.startRecordingScreen(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/appium/stop_recording_screen`, (req, res, next) => {
+      this.stopRecordingScreen(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/fastest/permissions/grant`, (req, res, next) => {
+      this.grantPermissions(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/fastest/permissions/revoke`, (req, res, next) => {
+      this.revokePermissions(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/fastest/intent`, (req, res, next) => {
+      this.sendIntent(req, res, next);
+    });
+
+    app.get(`${this.rootPath}/session/:id/fastest/appops`, (req, res, next) => {
+      this.getAppOps(req, res, next);
+    });
+
+    app.post(`${this.rootPath}/session/:id/fastest/appops`, (req, res, next) => {
+      this.setAppOp(req, res, next);
+    });
+
     app.use((req, res, next) => {
       this.forwardRequestToAppServer(req, res, next);
     });
@@ -55,133 +321,1496 @@ class Server {
     return app;
   }
 
-  createSession(req, res, next) {
-    const caps = req.body.desiredCapabilities;
-    this.caps = caps;
+  /**
+   * Gives each request an id and a logger (`req.log`) that adds the id to
+   * the log entries. The request is logged with its duration when the
+   * response has been sent.
+   */
+  traceRequest(req, res, next) {
+    const startTime = Date.now();
 
-    const cmd = new this.constructor.AndroidCommandLineTools({
-      deviceName: caps.deviceName,
-      avdName: caps.avdName,
-      sdkPath: this.sdkPath
+    req.id = uuid.v4();
+    req.log = this.logger.child({requestId: req.id});
+
+    res.on('finish', () => {
+      req.log.info('request', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - startTime
+      });
     });
 
-    cmd.listRunningDevices().then(runningDevices => {
-      if (!runningDevices.includes(caps.deviceName)) {
-        return cmd.startDevice();
+    next();
+  }
+
+  /**
+   * Tells whether a new session could be created right now. The response
+   * works for both W3C and JSON wire protocol clients.
+   */
+  getStatus(req, res, next) {
+    const freeDevices = this.devicePool.isConfigured
+      ? this.devicePool.devices.filter(device => !device.session).length
+      : null;
+
+    let message = 'ready to create sessions';
+
+    if (this.stopping) {
+      message = 'the server is stopping';
+    } else if (freeDevices === 0) {
+      message = 'all devices are in use';
+    }
+
+    res.send({
+      status: 0,
+      value: {
+        ready: !this.stopping && freeDevices !== 0,
+        message,
+        build: {
+          version
+        },
+        sessions: this.sessions.size,
+        freeDevices
       }
-    }).then(() => {
-      return cmd.installApp({
-        packageName: caps.packageName,
-        apkPath: caps.app 
-      });
-    }).then(() => {
-      return cmd.packageInfo({
-        packageName: caps.packageName
-      });
-    }).then(info => {
-      this.appInfo = info;
+    });
+  }
 
-      if (caps.platformVersion >= '6.0') {
-        return cmd.grantPermissions({
-          packageName: caps.packageName,
-          permissions: info.requestedPermissions
+  getSessions(req, res, next) {
+    res.send({
+      status: 0,
+      value: Array.from(this.sessions.values()).map(sessionInfo)
+    });
+  }
+
+  /**
+   * Lists the devices adb knows about and the configured emulators that
+   * are not running, with the session that uses each of them.
+   */
+  getDevices(req, res, next) {
+    const cmd = this.createAndroidCommandLineTools({logger: req.log});
+    const sessions = Array.from(this.sessions.values()).filter(session => !!session.device);
+
+    const sessionOf = deviceName => {
+      const session = sessions.find(session => session.deviceName === deviceName);
+      return session ? session.id : null;
+    };
+
+    const poolDeviceOf = deviceName => {
+      return this.devicePool.devices.find(device => device.deviceName === deviceName) || null;
+    };
+
+    cmd.listDevices().then(devices => {
+      return Promise.all(devices.map(device => {
+        // Offline and unauthorized devices don't answer.
+        const props = device.state === 'device'
+          ? cmd.deviceProperties({deviceName: device.deviceName}).catch(() => ({}))
+          : Promise.resolve({});
+
+        return props.then(props => {
+          const poolDevice = poolDeviceOf(device.deviceName);
+
+          return {
+            deviceName: device.deviceName,
+            state: device.state,
+            model: props.model || null,
+            apiLevel: props.apiLevel || null,
+            platformVersion: props.platformVersion || null,
+            avdName: props.avdName || (poolDevice && poolDevice.avdName) || null,
+            session: sessionOf(device.deviceName),
+            configured: !!poolDevice,
+            startedByServer: this.emulators.has(device.deviceName)
+          };
+        });
+      })).then(runningDevices => {
+        const stoppedDevices = this.devicePool.devices.filter(device => {
+          return !!device.avdName && !devices.some(it => it.deviceName === device.deviceName);
+        }).map(device => {
+          return {
+            deviceName: device.deviceName,
+            state: 'not running',
+            model: null,
+            apiLevel: null,
+            platformVersion: device.platformVersion,
+            avdName: device.avdName,
+            session: device.session,
+            configured: true,
+            startedByServer: false
+          };
+        });
+
+        res.send({
+          status: 0,
+          value: runningDevices.concat(stoppedDevices)
         });
-      }
-    }).then(() => {
-      return cmd.startApp({
-        packageName: caps.packageName
       });
-    }).then(() => {
-      return cmd.tcpPortForward({
-        hostPort: this.localAppServerPort,
-        devicePort: this.appServerPort
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  /**
+   * Returns the latest screenshot of a device as a PNG image. Screenshots
+   * are only taken when they are asked for.
+   */
+  getDeviceScreenshot(req, res, next) {
+    const deviceName = req.params.deviceName;
+    let screenshot = this.screenshots.get(deviceName);
+
+    if (!screenshot || Date.now() - screenshot.takenAt > SCREENSHOT_MAX_AGE) {
+      const cmd = this.createAndroidCommandLineTools({deviceName, logger: req.log});
+
+      screenshot = {
+        takenAt: Date.now(),
+        png: cmd.listRunningDevices().then(runningDevices => {
+          if (!runningDevices.includes(deviceName)) {
+            throw new InvalidArgumentError(`device ${deviceName} is not running`);
+          }
+
+          return cmd.screenshot();
+        })
+      };
+
+      this.screenshots.set(deviceName, screenshot);
+
+      screenshot.png.catch(() => {
+        // Try again on the next request.
+        if (this.screenshots.get(deviceName) === screenshot) {
+          this.screenshots.delete(deviceName);
+        }
       });
-    }).then(() => {
-      return this.waitForAppServerStart();
-    }).then(() => {
-      next();
+    }
+
+    screenshot.png.then(png => {
+      res.set('Cache-Control', 'no-store').type('png').send(png);
     }).catch(err => {
       next(err);
     });
   }
 
-  resetApp(req, res, next) {
-    const caps = this.caps;
-    const appInfo = this.appInfo;
+  getRecentCommands(req, res, next) {
+    res.send({
+      status: 0,
+      value: this.recentCommands
+    });
+  }
+
+  /**
+   * Serves the dashboard page. It shows the sessions, the devices with
+   * their latest screenshots and the forwarded commands using the JSON
+   * endpoints and the event stream.
+   */
+  getDashboard(req, res, next) {
+    fs.readFile(path.join(__dirname, 'dashboard.html'), 'utf8', (err, html) => {
+      if (err) {
+        return next(err);
+      }
+
+      res.type('html').send(html.replace('{{rootPath}}', JSON.stringify(this.rootPath)));
+    });
+  }
+
+  /**
+   * Keeps a forwarded command for the dashboard and sends it to the event
+   * streams as a `command` event.
+   */
+  recordCommand(command) {
+    this.recentCommands.push(command);
+
+    if (this.recentCommands.length > MAX_RECENT_COMMANDS) {
+      this.recentCommands.shift();
+    }
+
+    this.events.emit('command', command);
+  }
+
+  createSession(req, res, next) {
+    let caps;
+    let isW3C;
+
+    if (this.stopping) {
+      return next(new SessionNotCreatedError('the server is stopping'));
+    }
+
+    try {
+      ({ caps, isW3C } = parseNewSessionRequest(req.body));
+      this.validateCapabilities(caps);
+    } catch (err) {
+      return next(err);
+    }
+
+    const sessionId = uuid.v4();
+    const log = req.log = req.log.child({sessionId});
+    const cmd = this.createAndroidCommandLineTools({logger: log});
 
-    const cmd = new this.constructor.AndroidCommandLineTools({
-      deviceName: caps.deviceName,
-      avdName: caps.avdName,
-      sdkPath: this.sdkPath
+    const session = new Session({
+      id: sessionId,
+      caps,
+      cmd
     });
 
-    cmd.clearApp(caps).then(() => {
-      if (caps.platformVersion >= '6.0') {
-        return cmd.grantPermissions({
+    this.sessions.set(session.id, session);
+    log.info('creating session', {caps});
+    this.emitSessionEvent(session);
+
+    this.trackPipeline(this.runPhase(session, log, 'inspect', () => {
+      return cmd.apkInfo({
+        apkPath: caps.app
+      }).catch(err => {
+        if (!caps.packageName) {
+          throw err;
+        }
+
+        // The build-tools are only needed for what `packageName` doesn't
+        // tell us. The requested permissions are read from the device once
+        // the app is installed.
+        log.warn('could not inspect the app, using packageName', {error: err.message});
+
+        return {
           packageName: caps.packageName,
-          permissions: appInfo.requestedPermissions
+          versionCode: null,
+          versionName: null,
+          minSdkVersion: null,
+          targetSdkVersion: null,
+          requestedPermissions: null,
+          launchableActivity: caps.appActivity || null
+        };
+      });
+    }).then(info => {
+      session.appInfo = info;
+
+      return this.runPhase(session, log, 'allocate', () => {
+        return this.devicePool.acquire({
+          caps,
+          session: session.id
         });
+      });
+    }).then(({device, runningDevices}) => {
+      if (session.ending) {
+        // The session was ended while it waited for a device.
+        this.devicePool.release(device);
+        throw new SessionNotCreatedError('the session was ended while it was being created');
+      }
+
+      // The port is reserved only once we have a device so that sessions
+      // waiting in the queue don't hold on to ports.
+      session.localAppServerPort = this.nextLocalAppServerPort();
+      session.device = device;
+      cmd.deviceName = device.deviceName;
+      cmd.avdName = device.avdName;
+
+      log.info('device acquired', {deviceName: device.deviceName});
+
+      if (!runningDevices.includes(device.deviceName)) {
+        return this.runPhase(session, log, 'boot', () => this.startEmulator(session));
       }
     }).then(() => {
-      return cmd.startApp({
-        packageName: caps.packageName
+      return this.runPhase(session, log, 'install', () => this.installApp(session));
+    }).then(() => {
+      return this.runPhase(session, log, 'permissions', () => this.grantInitialPermissions(session));
+    }).then(() => {
+      return this.runPhase(session, log, 'launch', () => this.startApp(session));
+    }).then(() => {
+      return this.runPhase(session, log, 'forward', () => {
+        return cmd.tcpPortForward({
+          hostPort: session.localAppServerPort,
+          devicePort: this.appServerPort
+        });
       });
     }).then(() => {
-      return this.waitForAppServerStart();
+      return this.runPhase(session, log, 'wait-for-app-server', () => this.waitForAppServerStart(session));
     }).then(() => {
-      next();
+      // The app server speaks the JSON wire protocol.
+      const body = isW3C ? {desiredCapabilities: caps} : req.body;
+
+      return this.runPhase(session, log, 'create-app-session', () => {
+        return this.sendRequestToAppServer(session, req, body);
+      }).then(deviceRes => {
+        const deviceBody = deviceRes.body || {};
+        session.appSessionId = deviceBody.sessionId || (deviceBody.value && deviceBody.value.sessionId);
+        return deviceRes;
+      });
+    }).then(deviceRes => {
+      log.info('session created', {deviceName: session.deviceName});
+
+      session.status = 'active';
+      session.lastActivity = Date.now();
+      this.emitSessionEvent(session);
+      this.scheduleIdleTimeout(session);
+
+      if (isW3C) {
+        res.send({
+          value: {
+            sessionId: session.id,
+            capabilities: Object.assign({}, caps, {
+              packageName: session.packageName,
+              deviceName: session.deviceName
+            })
+          }
+        });
+      } else {
+        res.status(deviceRes.status).send(session.fromAppServerBody(deviceRes.body));
+      }
     }).catch(err => {
-      next(err);
+      if (!session.ending) {
+        session.status = 'failed';
+        this.emitSessionEvent(session, {error: err.message});
+      }
+
+      const ending = this.endSession(session);
+
+      if (err.res) {
+        res.status(err.res.status).send(err.res.body);
+      } else {
+        next(SessionNotCreatedError.from(err));
+      }
+
+      return ending;
+    }));
+  }
+
+  /**
+   * Runs one phase of session creation. The phase is logged with its
+   * duration, kept in `session.phases` and sent to the event streams when
+   * it starts and when it ends.
+   */
+  runPhase(session, log, name, fn) {
+    if (this.stopping) {
+      return Promise.reject(new SessionNotCreatedError('the server was stopped while the session was being created'));
+    }
+
+    if (session.ending) {
+      return Promise.reject(new SessionNotCreatedError('the session was ended while it was being created'));
+    }
+
+    const phase = {
+      name,
+      status: 'running',
+      startedAt: Date.now(),
+      durationMs: null
+    };
+
+    session.phases.push(phase);
+    this.emitPhaseEvent(session, phase);
+
+    return timed(log, name, fn).then(res => {
+      phase.status = 'done';
+      phase.durationMs = Date.now() - phase.startedAt;
+      this.emitPhaseEvent(session, phase);
+      return res;
+    }, err => {
+      phase.status = 'failed';
+      phase.durationMs = Date.now() - phase.startedAt;
+      phase.error = err.message;
+      this.emitPhaseEvent(session, phase);
+      throw err;
     });
   }
 
-  forwardRequestToAppServer(req, res, next) {
-    const method = req.method.toLowerCase();
-    const url = this.appServerUrl(req.path);
+  emitSessionEvent(session, fields) {
+    this.events.emit('session', Object.assign(sessionEvent(session), fields));
+  }
 
-    request[method](url)
-      .send(req.body)
-      .then(deviceRes => {
-        res.status(deviceRes.status).send(deviceRes.body);
-      })
-      .catch(err => {
-        if (err.res) {
-          res.status(err.res.status).send(err.res.body);
-        } else {
-          next(err);
-        }
-      });
+  emitPhaseEvent(session, phase) {
+    this.events.emit('phase', phaseEvent(session, phase));
   }
 
-  handleError(err, req, res, next) {
-    if (!err) {
-      next();
-    } else {
-      console.error(req.method, req.path, err.stack);
-      res.status(500).send({
-        error: err.message,
-        stack: err.stack
-      });
-    }
+  /**
+   * Streams the `session`, `phase` and `command` events of all sessions
+   * as Server-Sent Events. The stream starts with a `session` event for
+   * each current session.
+   */
+  streamEvents(req, res, next) {
+    const stream = this.openEventStream(req, res);
+    const onSession = data => stream.send('session', data);
+    const onPhase = data => stream.send('phase', data);
+    const onCommand = data => stream.send('command', data);
+
+    this.sessions.forEach(session => stream.send('session', sessionEvent(session)));
+
+    this.events.on('session', onSession);
+    this.events.on('phase', onPhase);
+    this.events.on('command', onCommand);
+
+    stream.onClose(() => {
+      this.events.removeListener('session', onSession);
+      this.events.removeListener('phase', onPhase);
+      this.events.removeListener('command', onCommand);
+    });
   }
 
-  waitForAppServerStart(count = 0) {
-    return delay(200).then(() => {
-      return reflect(request.get(this.appServerUrl('/ping')));
-    }).then(res => {
-      if (res.isRejected()) {
-        if (count < 50) {
-          return this.waitForAppServerStart(count + 1);
-        } else {
-          return Promise.reject(res.reason());
+  /**
+   * Streams the events of one session. The phases that have already run are
+   * sent first so that a client can connect at any point of session
+   * creation. The stream ends when the session ends.
+   */
+  streamSessionEvents(req, res, next) {
+    const session = this.sessions.get(req.params.id);
+
+    if (!session) {
+      return next(new InvalidSessionIdError(`unknown session ${req.params.id}`));
+    }
+
+    const stream = this.openEventStream(req, res);
+
+    const onSession = data => {
+      if (data.sessionId === session.id) {
+        stream.send('session', data);
+
+        if (data.status === 'ended') {
+          stream.close();
         }
       }
+    };
+
+    const onPhase = data => {
+      if (data.sessionId === session.id) {
+        stream.send('phase', data);
+      }
+    };
+
+    session.phases.forEach(phase => stream.send('phase', phaseEvent(session, phase)));
+    stream.send('session', sessionEvent(session));
+
+    this.events.on('session', onSession);
+    this.events.on('phase', onPhase);
+
+    stream.onClose(() => {
+      this.events.removeListener('session', onSession);
+      this.events.removeListener('phase', onPhase);
     });
   }
 
-  appServerUrl(path) {
-    return `http://localhost:${this.localAppServerPort}${path}`;
+  openEventStream(req, res) {
+    const stream = new EventStream({req, res});
+
+    this.eventStreams.add(stream);
+    stream.onClose(() => this.eventStreams.delete(stream));
+
+    return stream;
+  }
+
+  validateCapabilities(caps) {
+    const required = ['app'];
+
+    if (!this.devicePool.isConfigured) {
+      // Without a device pool the client needs to tell which device to use.
+      required.push('deviceName');
+    }
+
+    required.forEach(name => {
+      if (!caps[name]) {
+        throw new InvalidArgumentError(`capability ${name} is required`);
+      }
+    });
+
+    const isPath = app => typeof app === 'string' && !!app;
+
+    if (Array.isArray(caps.app) ? caps.app.length === 0 || !isStringArray(caps.app) : !isPath(caps.app)) {
+      throw new InvalidArgumentError('capability app must be a path or an array of paths');
+    }
+
+    const grant = caps.grantPermissions;
+
+    if (grant !== undefined && typeof grant !== 'boolean' && !isStringArray(grant)) {
+      throw new InvalidArgumentError('capability grantPermissions must be a boolean or an array of permissions');
+    }
+
+    validateIntentExtras(caps.intentExtras, 'capability intentExtras');
+
+    if (caps.newCommandTimeout !== undefined && !(typeof caps.newCommandTimeout === 'number' && caps.newCommandTimeout >= 0)) {
+      throw new InvalidArgumentError('capability newCommandTimeout must be a non-negative number of seconds');
+    }
+
+    if (caps.commandTimeout !== undefined && !(Number.isInteger(caps.commandTimeout) && caps.commandTimeout >= 0)) {
+      throw new InvalidArgumentError('capability commandTimeout must be a non-negative integer');
+    }
+
+    if (caps.correlationId !== undefined && typeof caps.correlationId !== 'string') {
+      throw new InvalidArgumentError('capability correlationId must be a string');
+    }
+
+    if (caps.logcatTags !== undefined && !isStringArray(caps.logcatTags)) {
+      throw new InvalidArgumentError('capability logcatTags must be an array of tags');
+    }
+
+    if (caps.logcatFile !== undefined) {
+      if (!this.logcatDir) {
+        throw new InvalidArgumentError('capability logcatFile needs the logcatDir server option');
+      }
+
+      // Clients only choose the file name. The server must not write
+      // anywhere else.
+      if (!isFileName(caps.logcatFile)) {
+        throw new InvalidArgumentError('capability logcatFile must be a file name without a directory');
+      }
+    }
+
+    if (caps.installStrategy && !INSTALL_STRATEGIES.includes(caps.installStrategy)) {
+      throw new InvalidArgumentError(`installStrategy must be one of ${INSTALL_STRATEGIES.join(', ')}`);
+    }
   }
+
+  installApp(session) {
+    const cmd = session.cmd;
+    const strategy = session.caps.installStrategy || 'always';
+
+    const packageName = session.packageName;
+
+    if (strategy === 'never') {
+      return cmd.installedApkPath({packageName}).then(devicePath => {
+        if (!devicePath) {
+          throw new Error(`installStrategy is 'never' but ${packageName} is not installed`);
+        }
+      });
+    }
+
+    return this.withApks(session, apkPath => {
+      const app = {packageName, apkPath};
+
+      if (strategy === 'ifChanged') {
+        return cmd.isInstalledAppUpToDate(Object.assign({
+          versionCode: session.appInfo.versionCode
+        }, app)).then(isUpToDate => {
+          if (!isUpToDate) {
+            return cmd.updateApp(app);
+          }
+        });
+      }
+
+      return cmd.installApp(app);
+    });
+  }
+
+  /**
+   * Grants the permissions the app needs when the session starts and when
+   * the app is reset. By default all dangerous permissions the app requests
+   * are granted. The `grantPermissions` capability can be set to false to
+   * grant nothing or to an array of the permissions to grant.
+   */
+  grantInitialPermissions(session) {
+    const grant = session.caps.grantPermissions;
+    const cmd = session.cmd;
+    const packageName = session.packageName;
+
+    // Runtime permissions were added in Android 6.0. Versions like '10'
+    // can't be compared as strings.
+    if (grant === false || !(parseInt(session.platformVersion, 10) >= 6)) {
+      return Promise.resolve();
+    }
+
+    if (Array.isArray(grant)) {
+      return grant.reduce((promise, permission) => {
+        return promise.then(() => cmd.grantPermission({packageName, permission}));
+      }, Promise.resolve());
+    }
+
+    const requestedPermissions = session.appInfo.requestedPermissions
+      ? Promise.resolve(session.appInfo.requestedPermissions)
+      : cmd.packageInfo({packageName}).then(info => info.requestedPermissions);
+
+    return requestedPermissions.then(permissions => {
+      return cmd.grantPermissions({packageName, permissions});
+    });
+  }
+
+  /**
+   * Starts the app's `appActivity` with `intentExtras` or, if neither is
+   * given, launches the app like the launcher does. If `appWaitActivity` is
+   * given we wait until it has the focus (`appWaitDuration` milliseconds at
+   * most).
+   */
+  startApp(session) {
+    const caps = session.caps;
+    const packageName = session.packageName;
+    // Extras can only be passed using `am start` which needs an activity.
+    const activity = caps.appActivity || (caps.intentExtras ? session.appInfo.launchableActivity : null);
+
+    if (caps.intentExtras && !activity) {
+      return Promise.reject(new Error('the app has no launchable activity. Give appActivity to use intentExtras'));
+    }
+
+    return session.cmd.startApp({
+      packageName,
+      activity,
+      extras: caps.intentExtras
+    }).then(() => {
+      return this.captureLogcat(session);
+    }).then(() => {
+      if (caps.appWaitActivity) {
+        return session.cmd.waitForActivity({
+          packageName,
+          activity: caps.appWaitActivity,
+          timeout: caps.appWaitDuration
+        });
+      }
+    });
+  }
+
+  /**
+   * Starts collecting the app's logcat unless the `captureLogcat` capability
+   * is false. Called each time the app is started since the app gets a new
+   * process.
+   */
+  captureLogcat(session) {
+    const caps = session.caps;
+
+    if (caps.captureLogcat === false) {
+      return Promise.resolve();
+    }
+
+    if (!session.logcat) {
+      session.logcat = new LogcatCapture({
+        cmd: session.cmd,
+        packageName: session.packageName,
+        tags: caps.logcatTags,
+        maxBufferSize: caps.logcatBufferSize
+      });
+    }
+
+    return session.logcat.restart();
+  }
+
+  /**
+   * Calls `fn` with the APK path (or paths for split APKs) of the session's
+   * app. Android App Bundles are first built into APKs for the session's
+   * device.
+   */
+  withApks(session, fn) {
+    const app = session.caps.app;
+
+    if (isBundle(app)) {
+      return session.cmd.withApksFromBundle({bundlePath: app}, fn);
+    }
+
+    return fn(app);
+  }
+
+  findSession(req, res, next) {
+    const session = this.sessions.get(req.params.id);
+
+    if (session && session.status !== 'active') {
+      // The session has no device or app server yet, and ending it here
+      // would race with its creation.
+      next(new InvalidSessionIdError(`session ${session.id} is still being created`));
+    } else if (session) {
+      res.locals.session = session;
+      req.log = req.log.child({sessionId: session.id});
+      // adb commands are logged with the id of the request being served.
+      // The requests of a session are normally sent one at a time.
+      session.cmd.logger = req.log;
+      this.trackActivity(session, res);
+      next();
+    } else if (this.expiredSessions.has(req.params.id)) {
+      next(new InvalidSessionIdError(this.expiredSessions.get(req.params.id)));
+    } else {
+      next(new InvalidSessionIdError(`unknown session ${req.params.id}`));
+    }
+  }
+
+  /**
+   * Stops the idle timer of a session while a request is served and starts
+   * it again once the response has been sent.
+   */
+  trackActivity(session, res) {
+    let done = false;
+
+    const onDone = () => {
+      if (!done) {
+        done = true;
+        session.activeRequests -= 1;
+        session.lastActivity = Date.now();
+        this.scheduleIdleTimeout(session);
+      }
+    };
+
+    session.activeRequests += 1;
+    clearTimeout(session.idleTimer);
+
+    // `close` without `finish` means the client went away.
+    res.on('finish', onDone);
+    res.on('close', onDone);
+  }
+
+  scheduleIdleTimeout(session) {
+    const timeout = this.newCommandTimeoutOf(session);
+
+    clearTimeout(session.idleTimer);
+    session.idleTimer = null;
+
+    if (timeout === 0 || session.activeRequests !== 0 || session.status !== 'active' || this.sessions.get(session.id) !== session) {
+      return;
+    }
+
+    session.idleTimer = setTimeout(() => {
+      this.expireSession(session);
+    }, timeout * 1000);
+
+    // An idle session must not keep the process running.
+    session.idleTimer.unref();
+  }
+
+  /**
+   * Ends a session whose client has not sent commands in
+   * `newCommandTimeout` seconds. The client probably crashed so the app is
+   * stopped and an emulator started by us is shut down regardless of the
+   * capabilities.
+   */
+  expireSession(session) {
+    const timeout = this.newCommandTimeoutOf(session);
+
+    session.cmd.logger.warn('session expired', {
+      newCommandTimeout: timeout,
+      idleMs: Date.now() - session.lastActivity
+    });
+
+    this.expiredSessions.set(session.id, `session ${session.id} was ended because it received no commands in ${timeout} seconds`);
+
+    if (this.expiredSessions.size > MAX_EXPIRED_SESSIONS) {
+      // Maps iterate in insertion order.
+      this.expiredSessions.delete(this.expiredSessions.keys().next().value);
+    }
+
+    return this.endSession(session, {expired: true}).catch(err => {
+      session.cmd.logger.error('ending expired session failed', {error: err.stack});
+    });
+  }
+
+  newCommandTimeoutOf(session) {
+    const timeout = session.caps.newCommandTimeout;
+    return timeout === undefined ? this.newCommandTimeout : timeout;
+  }
+
+  deleteSession(req, res, next) {
+    const session = res.locals.session;
+
+    // The app server may already be dead. The session is ended anyway.
+    reflect(this.sendRequestToAppServer(session, req)).then(() => {
+      return this.endSession(session);
+    }).then(() => {
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  endSession(session, {expired = false} = {}) {
+    if (session.ending) {
+      return session.ending;
+    }
+
+    this.sessions.delete(session.id);
+    clearTimeout(session.idleTimer);
+
+    const ended = () => {
+      session.status = 'ended';
+      this.emitSessionEvent(session, expired ? {reason: 'expired'} : null);
+    };
+
+    if (!session.device) {
+      // The session never got a device. There's nothing to clean up.
+      ended();
+      session.ending = Promise.resolve();
+      return session.ending;
+    }
+
+    this.endingSessions.add(session);
+
+    session.ending = this.tearDownSession(session, {expired}).then(() => {
+      this.endingSessions.delete(session);
+      this.devicePool.release(session.device, {
+        // The emulator was shut down or never booted.
+        stopped: !this.emulators.has(session.deviceName)
+      });
+      session.device = null;
+      ended();
+    });
+
+    return session.ending;
+  }
+
+  tearDownSession(session, {expired = false} = {}) {
+    const caps = session.caps;
+    const cmd = session.cmd;
+    const steps = [];
+
+    if (session.screenRecorder) {
+      steps.push(() => session.screenRecorder.discard());
+    }
+
+    if (session.logcat) {
+      steps.push(() => session.logcat.stop());
+
+      if (caps.logcatFile) {
+        steps.push(() => session.logcat.writeToFile(path.join(this.logcatDir, caps.logcatFile)));
+      }
+    }
+
+    if (caps.stopAppOnEnd !== false || expired) {
+      steps.push(() => cmd.stopApp({
+        packageName: session.packageName
+      }));
+    }
+
+    if (caps.uninstallAppOnEnd) {
+      steps.push(() => cmd.uninstallApp({
+        packageName: session.packageName
+      }));
+    }
+
+    if (session.localAppServerPort) {
+      steps.push(() => cmd.removeTcpPortForward({
+        hostPort: session.localAppServerPort
+      }));
+    }
+
+    steps.push(() => cmd.removeReverseTcpPortForwards());
+
+    // Only emulators started by us are shut down.
+    if ((caps.shutdownEmulatorOnEnd || expired) && this.emulators.has(session.deviceName)) {
+      steps.push(() => this.stopEmulator(session.deviceName));
+    }
+
+    // Run all steps even if some of them fail. The session may have ended
+    // because the device or the app is in a bad state.
+    return steps.reduce((promise, step) => {
+      return promise.then(() => reflect(Promise.resolve().then(step))).then(res => {
+        if (res.isRejected()) {
+          session.cmd.logger.warn('session teardown step failed', {error: res.reason().message});
+        }
+      });
+    }, Promise.resolve()).then(() => {
+      session.cmd.logger.info('session ended');
+    });
+  }
+
+  startEmulator(session) {
+    const caps = session.caps;
+    const cmd = session.cmd;
+    const deviceName = session.deviceName;
+    // The AVD options of a pooled device override the client's.
+    const avdOptions = Object.assign({}, caps, session.device.config);
+
+    return cmd.ensureAvd({
+      systemImage: avdOptions.systemImage,
+      apiLevel: avdOptions.apiLevel,
+      tag: avdOptions.systemImageTag,
+      abi: avdOptions.abi,
+      deviceProfile: avdOptions.deviceProfile
+    }).then(() => {
+      return cmd.startDevice({
+        port: session.device.port || caps.emulatorPort,
+        headless: caps.headless,
+        noSnapshot: caps.noSnapshot,
+        wipeData: caps.wipeData,
+        gpu: caps.gpu,
+        memory: caps.memory,
+        bootTimeout: caps.bootTimeout
+      });
+    }).then(emulator => {
+      this.emulators.set(deviceName, emulator);
+
+      emulator.on('exit', () => {
+        if (this.emulators.get(deviceName) === emulator) {
+          this.emulators.delete(deviceName);
+        }
+      });
+    });
+  }
+
+  stopEmulator(deviceName) {
+    const emulator = this.emulators.get(deviceName);
+    const cmd = this.createAndroidCommandLineTools({deviceName});
+
+    this.emulators.delete(deviceName);
+
+    return reflect(cmd.stopDevice()).then(res => {
+      if (res.isRejected()) {
+        // The emulator didn't respond to `emu kill`.
+        emulator.kill();
+      }
+    });
+  }
+
+  resetApp(req, res, next) {
+    const session = res.locals.session;
+    const cmd = session.cmd;
+
+    this.trackPipeline(cmd.clearApp({
+      packageName: session.packageName
+    }).then(() => {
+      return this.grantInitialPermissions(session);
+    }).then(() => {
+      return this.startApp(session);
+    }).then(() => {
+      return this.waitForAppServerStart(session);
+    }).then(() => {
+      next();
+    }).catch(err => {
+      next(err);
+    }));
+  }
+
+  /**
+   * Responds with the collected logcat lines for the 'logcat' log type.
+   * Other log types are forwarded to the app server.
+   */
+  getLog(req, res, next) {
+    const session = res.locals.session;
+
+    if (req.body.type !== 'logcat') {
+      return next();
+    }
+
+    sendValue(res, session, session.logcat ? session.logcat.takeEntries() : []);
+  }
+
+  /**
+   * Takes the screenshot using adb so that it works even if the app server
+   * on the device is not responding.
+   */
+  takeScreenshot(req, res, next) {
+    const session = res.locals.session;
+
+    session.cmd.screenshot().then(png => {
+      sendValue(res, session, png.toString('base64'));
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  /**
+   * Starts recording the screen. A recording that is already running is
+   * thrown away. The body may have `options` with `timeLimit` (seconds),
+   * `bitRate` and `videoSize`.
+   */
+  startRecordingScreen(req, res, next) {
+    const session = res.locals.session;
+    const options = req.body.options || {};
+    const previous = session.screenRecorder;
+
+    Promise.resolve(previous && previous.discard()).then(() => {
+      session.screenRecorder = new ScreenRecorder({
+        cmd: session.cmd,
+        name: session.id,
+        timeLimit: options.timeLimit,
+        bitRate: options.bitRate,
+        size: options.videoSize
+      });
+
+      session.screenRecorder.start();
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  /**
+   * Stops recording the screen and responds with the base64 encoded mp4
+   * video.
+   */
+  stopRecordingScreen(req, res, next) {
+    const session = res.locals.session;
+    const recorder = session.screenRecorder;
+
+    if (!recorder) {
+      return next(new InvalidArgumentError('the screen is not being recorded'));
+    }
+
+    session.screenRecorder = null;
+
+    recorder.stop().then(video => {
+      sendValue(res, session, video.toString('base64'));
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  getPermissions(req, res, next) {
+    const session = res.locals.session;
+
+    session.cmd.listPermissions({
+      packageName: session.packageName
+    }).then(permissions => {
+      sendValue(res, session, permissions);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  grantPermissions(req, res, next) {
+    const session = res.locals.session;
+    const permissions = req.body.permissions;
+
+    if (!isStringArray(permissions)) {
+      return next(new InvalidArgumentError('permissions must be an array of permission names'));
+    }
+
+    permissions.reduce((promise, permission) => {
+      return promise.then(() => session.cmd.grantPermission({
+        packageName: session.packageName,
+        permission
+      }));
+    }, Promise.resolve()).then(() => {
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  revokePermissions(req, res, next) {
+    const session = res.locals.session;
+    const permissions = req.body.permissions;
+
+    if (!isStringArray(permissions)) {
+      return next(new InvalidArgumentError('permissions must be an array of permission names'));
+    }
+
+    permissions.reduce((promise, permission) => {
+      return promise.then(() => session.cmd.revokePermission({
+        packageName: session.packageName,
+        permission
+      }));
+    }, Promise.resolve()).then(() => {
+      // Android kills the app when a permission is revoked. Start it
+      // again so that the session can continue.
+      return this.startApp(session);
+    }).then(() => {
+      return this.waitForAppServerStart(session);
+    }).then(() => {
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  /**
+   * Starts an activity or sends a broadcast, for example to open a deep
+   * link. The body has the intent options of `AndroidCommandLineTools`'s
+   * `startActivity` and `command`, either 'start' (the default) or
+   * 'broadcast'.
+   */
+  sendIntent(req, res, next) {
+    const session = res.locals.session;
+    const intent = req.body;
+    const command = intent.command || 'start';
+
+    try {
+      if (!INTENT_COMMANDS.includes(command)) {
+        throw new InvalidArgumentError(`command must be one of ${INTENT_COMMANDS.join(', ')}`);
+      }
+
+      if (!intent.action && !intent.data && !intent.component) {
+        throw new InvalidArgumentError('one of action, data and component is required');
+      }
+
+      if (intent.categories !== undefined && !isStringArray(intent.categories)) {
+        throw new InvalidArgumentError('categories must be an array of strings');
+      }
+
+      validateIntentExtras(intent.extras, 'extras');
+    } catch (err) {
+      return next(err);
+    }
+
+    const options = {
+      action: intent.action,
+      data: intent.data,
+      component: intent.component,
+      categories: intent.categories,
+      flags: intent.flags,
+      extras: intent.extras
+    };
+
+    const sent = command === 'broadcast'
+      ? session.cmd.sendBroadcast(options)
+      : session.cmd.startActivity(Object.assign({wait: true}, options));
+
+    sent.then(() => {
+      // The intent may have restarted the app and the app server with it.
+      return this.waitForAppServerStart(session);
+    }).then(() => {
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  getAppOps(req, res, next) {
+    const session = res.locals.session;
+
+    session.cmd.listAppOps({
+      packageName: session.packageName
+    }).then(appOps => {
+      sendValue(res, session, appOps);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  setAppOp(req, res, next) {
+    const session = res.locals.session;
+    const { op, mode } = req.body;
+
+    if (typeof op !== 'string' || !op) {
+      return next(new InvalidArgumentError('op must be the name of an app op'));
+    }
+
+    if (!APP_OP_MODES.includes(mode)) {
+      return next(new InvalidArgumentError(`mode must be one of ${APP_OP_MODES.join(', ')}`));
+    }
+
+    session.cmd.setAppOp({
+      packageName: session.packageName,
+      op,
+      mode
+    }).then(() => {
+      sendValue(res, session, null);
+    }).catch(err => {
+      next(err);
+    });
+  }
+
+  /**
+   * Proxies a request to the app server. JSON responses of a session are
+   * read whole so that the app server's session id can be replaced with
+   * ours. Other responses, like screenshots, are streamed as they are.
+   */
+  forwardRequestToAppServer(req, res, next) {
+    const session = res.locals.session;
+
+    this.openAppServerRequest(session, req)
+      .then(deviceRes => {
+        if (session && isJson(deviceRes)) {
+          return readBody(deviceRes).then(body => {
+            res.status(deviceRes.statusCode).set(forwardedHeaders(deviceRes.headers, ['content-length']));
+            res.send(session.fromAppServerBody(parseJson(body)));
+          });
+        }
+
+        res.status(deviceRes.statusCode).set(forwardedHeaders(deviceRes.headers));
+        // The client gets a truncated response if the app server fails in
+        // the middle of the body.
+        deviceRes.on('aborted', () => res.destroy());
+        deviceRes.pipe(res);
+      })
+      .catch(err => {
+        if (session) {
+          // The app server didn't respond. Find out if the app is dead.
+          this.detectAppCrash(session).then(crashErr => {
+            next(crashErr || err);
+          }, () => {
+            next(err);
+          });
+        } else {
+          next(err);
+        }
+      });
+  }
+
+  /**
+   * Returns a promise for an AppCrashedError if the app's process is gone
+   * or an "Application Not Responding" dialog is showing and null
+   * otherwise. If the `relaunchAppOnCrash` capability is true the app is
+   * started again so that the session can continue.
+   */
+  detectAppCrash(session) {
+    const cmd = session.cmd;
+    const packageName = session.packageName;
+    let crashErr = null;
+
+    // execAdb throws synchronously if the session has no device yet.
+    return Promise.resolve().then(() => cmd.isAppRunning({packageName})).then(isRunning => {
+      if (!isRunning) {
+        return 'crash';
+      }
+
+      return cmd.isAppNotResponding({packageName}).then(isNotResponding => {
+        return isNotResponding ? 'anr' : null;
+      });
+    }).then(type => {
+      if (!type) {
+        return;
+      }
+
+      return cmd.lastCrashReport({packageName, type}).catch(() => null).then(report => {
+        const message = type === 'anr'
+          ? `the app ${packageName} is not responding`
+          : `the app ${packageName} has crashed`;
+
+        crashErr = new AppCrashedError(report ? `${message}:\n${report}` : message, report);
+
+        if (session.caps.relaunchAppOnCrash) {
+          return this.relaunchApp(session, type).then(() => {
+            crashErr.message += '\nThe app was restarted.';
+          }, err => {
+            crashErr.message += `\nRestarting the app failed: ${err.message}`;
+          });
+        }
+      });
+    }).then(() => {
+      return crashErr;
+    }, () => {
+      // The device may be gone too. The original error is reported.
+      return crashErr;
+    });
+  }
+
+  relaunchApp(session, type) {
+    // The app must be stopped to get rid of the ANR dialog.
+    const stopped = type === 'anr'
+      ? session.cmd.stopApp({packageName: session.packageName})
+      : Promise.resolve();
+
+    return stopped.then(() => {
+      return this.startApp(session);
+    }).then(() => {
+      return this.waitForAppServerStart(session);
+    });
+  }
+
+  /**
+   * Sends `req` to the app server and reads the whole response. The
+   * response body is parsed if it's JSON. Error statuses reject the promise
+   * with an error whose `res` is the response.
+   */
+  sendRequestToAppServer(session, req, body) {
+    return this.openAppServerRequest(session, req, body).then(deviceRes => {
+      return readBody(deviceRes).then(data => {
+        const res = {
+          status: deviceRes.statusCode,
+          headers: deviceRes.headers,
+          body: isJson(deviceRes) ? parseJson(data) : data
+        };
+
+        if (res.status >= 400) {
+          const err = new Error(`app server responded to ${req.method} ${req.originalUrl} with status ${res.status}`);
+          err.res = res;
+          throw err;
+        }
+
+        return res;
+      });
+    });
+  }
+
+  /**
+   * Sends `req` to the app server and returns a promise for the response
+   * stream. The method, the query string and the end-to-end headers are
+   * kept. The request body is `body` as JSON if given, otherwise the JSON
+   * body parsed by body-parser or, for other content types, the request
+   * stream itself.
+   *
+   * The request fails with a TimeoutError if the app server doesn't respond
+   * in the session's `commandTimeout` milliseconds.
+   */
+  openAppServerRequest(session, req, body) {
+    // Requests that don't belong to any session are sent to the
+    // default app server port.
+    const url = session ? session.appServerUrl(req.originalUrl) : this.appServerUrl(req.originalUrl);
+    const timeout = session && session.caps.commandTimeout !== undefined ? session.caps.commandTimeout : this.commandTimeout;
+    const startTime = Date.now();
+    // The body of JSON responses must be readable for translating session
+    // ids so we don't ask for compressed responses.
+    let headers = forwardedHeaders(req.headers, ['host', 'accept-encoding']);
+
+    if (body === undefined && req._body) {
+      body = req.body;
+    }
+
+    if (body !== undefined) {
+      body = Buffer.from(JSON.stringify(body));
+
+      headers = Object.assign(forwardedHeaders(headers, ['content-type', 'content-length']), {
+        'content-type': 'application/json; charset=utf-8',
+        'content-length': body.length
+      });
+    }
+
+    const logForward = (status, error) => {
+      const durationMs = Date.now() - startTime;
+
+      req.log.debug('forwarded request', {
+        method: req.method,
+        url,
+        status,
+        error,
+        durationMs
+      });
+
+      this.recordCommand({
+        sessionId: session ? session.id : null,
+        method: req.method,
+        path: req.originalUrl,
+        status,
+        error: error || null,
+        startedAt: startTime,
+        durationMs
+      });
+    };
+
+    return sendRequest({
+      method: req.method,
+      url,
+      headers,
+      body: body !== undefined ? body : req,
+      timeout
+    }).then(res => {
+      logForward(res.statusCode);
+      return res;
+    }, err => {
+      logForward(null, err.message);
+      throw err;
+    });
+  }
+
+  handleError(err, req, res, next) {
+    if (!err) {
+      return next();
+    }
+
+    if (err.type === 'entity.parse.failed') {
+      // Malformed JSON body from body-parser.
+      err = InvalidArgumentError.from(err);
+    } else if (!(err instanceof WebDriverError)) {
+      req.log.error('request failed', {
+        method: req.method,
+        path: req.path,
+        error: err.stack
+      });
+
+      err = UnknownError.from(err);
+    }
+
+    res.status(err.statusCode).send(err.toJSON());
+  }
+
+  waitForAppServerStart(session, count = 0) {
+    if (this.stopping) {
+      return Promise.reject(new Error('the server is stopping'));
+    }
+
+    return delay(200).then(() => {
+      return reflect(sendRequest({
+        method: 'GET',
+        url: session.appServerUrl('/ping'),
+        timeout: 5000
+      }).then(res => readBody(res)));
+    }).then(res => {
+      if (res.isRejected()) {
+        if (count < 50) {
+          return this.waitForAppServerStart(session, count + 1);
+        } else {
+          return Promise.reject(res.reason());
+        }
+      }
+    });
+  }
+
+  createAndroidCommandLineTools({deviceName, avdName, logger} = {}) {
+    return new this.constructor.AndroidCommandLineTools({
+      deviceName,
+      avdName,
+      logger: logger || this.logger,
+      sdkPath: this.sdkPath,
+      retryPolicy: this.adbRetryPolicy,
+      bundletoolPath: this.bundletoolPath,
+      ffmpegPath: this.ffmpegPath
+    });
+  }
+
+  nextLocalAppServerPort() {
+    const usedPorts = Array.from(this.sessions.values())
+      .concat(Array.from(this.endingSessions))
+      .map(session => session.localAppServerPort);
+    let port = this.localAppServerPort;
+
+    while (usedPorts.includes(port)) {
+      ++port;
+    }
+
+    return port;
+  }
+
+  appServerUrl(path) {
+    return `http://localhost:${this.localAppServerPort}${path}`;
+  }
+}
+
+function sessionInfo(session) {
+  return {
+    id: session.id,
+    capabilities: session.caps,
+    status: session.status,
+    deviceName: session.device ? session.deviceName : null,
+    packageName: session.packageName || null,
+    createdAt: session.createdAt,
+    lastActivity: session.lastActivity,
+    phases: session.phases
+  };
+}
+
+// The `correlationId` capability lets a client find its own session in the
+// events before it has got the session id.
+function sessionEvent(session) {
+  return {
+    sessionId: session.id,
+    correlationId: session.caps.correlationId || null,
+    status: session.status,
+    deviceName: session.deviceName || null,
+    packageName: session.packageName || null,
+    createdAt: session.createdAt
+  };
+}
+
+function phaseEvent(session, phase) {
+  return Object.assign({
+    sessionId: session.id,
+    correlationId: session.caps.correlationId || null
+  }, phase);
+}
+
+// Sends a result of a command the server handles itself. The response works
+// for both W3C and JSON wire protocol clients.
+function sendValue(res, session, value) {
+  res.send({
+    sessionId: session.id,
+    status: 0,
+    value
+  });
+}
+
+function validateIntentExtras(extras, name) {
+  if (extras === undefined) {
+    return;
+  }
+
+  const isValid = Array.isArray(extras) && extras.every(extra => {
+    return extra !== null
+      && typeof extra === 'object'
+      && typeof extra.key === 'string'
+      && (extra.type === undefined || EXTRA_TYPES.includes(extra.type));
+  });
+
+  if (!isValid) {
+    throw new InvalidArgumentError(`${name} must be an array of {key, value, type} objects where type is one of ${EXTRA_TYPES.join(', ')}`);
+  }
+}
+
+// Returns the body as is if it isn't valid JSON.
+function parseJson(data) {
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch (err) {
+    return data;
+  }
+}
+
+function isFileName(value) {
+  return typeof value === 'string' && !!value && path.basename(value) === value && value !== '.' && value !== '..';
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(it => typeof it === 'string' && !!it);
 }
 
 function delay(delay) {
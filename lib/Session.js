@@ -0,0 +1,82 @@
+class Session {
+
+  /**
+   * State of one client session.
+   *
+   * Each session owns the device it runs on (through `cmd`) and a local
+   * port that is forwarded to the app server running on that device.
+   */
+  constructor({id, caps, cmd, localAppServerPort = null}) {
+    this.id = id;
+    this.caps = caps;
+    this.cmd = cmd;
+    this.localAppServerPort = localAppServerPort;
+
+    this.device = null;
+    this.appInfo = null;
+    // The session id the app server on the device gave us. Clients only
+    // ever see `id` and we translate between the two when forwarding.
+    this.appSessionId = null;
+    // The ScreenRecorder of a running screen recording.
+    this.screenRecorder = null;
+    // LogcatCapture of the app's logs.
+    this.logcat = null;
+    // 'creating', 'active', 'failed' or 'ended'.
+    this.status = 'creating';
+    this.createdAt = Date.now();
+    // The phases of session creation like
+    // `{name: 'install', status: 'done', startedAt, durationMs}`.
+    this.phases = [];
+    // Time of the last response sent to the client and the number of
+    // requests being served. Idle sessions are ended by the server.
+    this.lastActivity = Date.now();
+    this.activeRequests = 0;
+    this.idleTimer = null;
+    // A promise for the teardown once the session is being ended.
+    this.ending = null;
+  }
+
+  get deviceName() {
+    return this.cmd.deviceName;
+  }
+
+  get packageName() {
+    return this.caps.packageName || (this.appInfo && this.appInfo.packageName);
+  }
+
+  get platformVersion() {
+    return this.caps.platformVersion || (this.device && this.device.platformVersion);
+  }
+
+  appServerUrl(path) {
+    return `http://localhost:${this.localAppServerPort}${this.toAppServerPath(path)}`;
+  }
+
+  toAppServerPath(path) {
+    if (!this.appSessionId) {
+      return path;
+    }
+
+    return path.replace(`/session/${this.id}`, `/session/${this.appSessionId}`);
+  }
+
+  fromAppServerBody(body) {
+    if (!this.appSessionId || !body || typeof body !== 'object') {
+      return body;
+    }
+
+    if (body.sessionId === this.appSessionId) {
+      body = Object.assign({}, body, {sessionId: this.id});
+    }
+
+    if (body.value && body.value.sessionId === this.appSessionId) {
+      body = Object.assign({}, body, {value: Object.assign({}, body.value, {sessionId: this.id})});
+    }
+
+    return body;
+  }
+}
+
+module.exports = {
+  Session
+};
@@ -0,0 +1,119 @@
+class AdbError extends Error {
+
+  /**
+   * A failed adb command.
+   *
+   * `exitCode` is null if adb could not be run at all. `reason` is a short
+   * description of the failure parsed from the output, for example
+   * 'device offline' or 'INSTALL_FAILED_INSUFFICIENT_STORAGE'.
+   */
+  constructor({args, exitCode, stdout, stderr, reason}) {
+    super(`adb ${args.join(' ')} failed: ${reason}`);
+
+    this.name = this.constructor.name;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.reason = reason;
+  }
+
+  /**
+   * True if the command may succeed if it is run again.
+   */
+  get isTransient() {
+    return false;
+  }
+}
+
+class DeviceOfflineError extends AdbError {
+  get isTransient() {
+    return true;
+  }
+}
+
+class DeviceNotFoundError extends AdbError {
+  get isTransient() {
+    return true;
+  }
+}
+
+class AdbServerError extends AdbError {
+  get isTransient() {
+    return true;
+  }
+}
+
+class MoreThanOneDeviceError extends AdbError {}
+
+class InstallError extends AdbError {}
+
+const FAILURES = [{
+  pattern: /device offline/i,
+  ErrorClass: DeviceOfflineError
+}, {
+  pattern: /device (?:'[^']*' )?not found|no devices\/emulators found/i,
+  ErrorClass: DeviceNotFoundError
+}, {
+  pattern: /more than one (?:device|emulator)/i,
+  ErrorClass: MoreThanOneDeviceError
+}, {
+  pattern: /(?:INSTALL|DELETE)_(?:PARSE_)?FAILED_[A-Z_]+/,
+  ErrorClass: InstallError
+}, {
+  pattern: /cannot connect to daemon|daemon not running|protocol fault|connection reset/i,
+  ErrorClass: AdbServerError
+}];
+
+// Old adb versions and `adb shell` on old devices exit with code zero even
+// if the command fails. The output tells us what really happened. Only
+// anchored exception messages count because output like crash reports is
+// full of exception names.
+const FAILURE_OUTPUT = /^(?:adb: )?error\b|^failure\b|INSTALL_(?:PARSE_)?FAILED_|^Exception occurred while executing\b/im;
+
+/**
+ * Returns an AdbError if the output of an adb command indicates a failure.
+ * Otherwise returns null. Output on stderr alone is not an error since adb
+ * prints warnings there.
+ */
+function parseAdbResult({args, exitCode, stdout, stderr}) {
+  const output = `${stdout}\n${stderr}`;
+
+  if (exitCode === 0 && !FAILURE_OUTPUT.test(output)) {
+    return null;
+  }
+
+  const failure = FAILURES.find(failure => failure.pattern.test(output));
+
+  if (failure) {
+    return new failure.ErrorClass({
+      args,
+      exitCode,
+      stdout,
+      stderr,
+      reason: output.match(failure.pattern)[0]
+    });
+  }
+
+  return new AdbError({
+    args,
+    exitCode,
+    stdout,
+    stderr,
+    reason: firstLine(stderr) || firstLine(stdout) || `exit code ${exitCode}`
+  });
+}
+
+function firstLine(str) {
+  return str.split(/\r?\n/).map(line => line.trim()).find(line => !!line);
+}
+
+module.exports = {
+  AdbError,
+  DeviceOfflineError,
+  DeviceNotFoundError,
+  AdbServerError,
+  MoreThanOneDeviceError,
+  InstallError,
+  parseAdbResult
+};
@@ -0,0 +1,97 @@
+const { InvalidArgumentError, SessionNotCreatedError } = require('./errors');
+
+const VENDOR_PREFIX = 'fastest:';
+
+/**
+ * Returns the capabilities of a new session request.
+ *
+ * Both W3C (`capabilities`) and legacy JSON wire protocol
+ * (`desiredCapabilities`) requests are supported. For W3C requests the
+ * `alwaysMatch` capabilities are merged with the first `firstMatch` entry
+ * we can serve. `fastest:` prefixed capabilities are returned without the
+ * prefix.
+ *
+ * ```js
+ * const { caps, isW3C } = parseNewSessionRequest(req.body);
+ * ```
+ */
+function parseNewSessionRequest(body) {
+  if (!isObject(body)) {
+    throw new InvalidArgumentError('request body must be an object');
+  }
+
+  if (body.capabilities !== undefined) {
+    return {
+      caps: processW3CCapabilities(body.capabilities),
+      isW3C: true
+    };
+  }
+
+  if (isObject(body.desiredCapabilities)) {
+    return {
+      caps: stripVendorPrefixes(body.desiredCapabilities),
+      isW3C: false
+    };
+  }
+
+  throw new InvalidArgumentError('either capabilities or desiredCapabilities must be given');
+}
+
+function processW3CCapabilities(capabilities) {
+  if (!isObject(capabilities)) {
+    throw new InvalidArgumentError('capabilities must be an object');
+  }
+
+  const alwaysMatch = capabilities.alwaysMatch === undefined ? {} : capabilities.alwaysMatch;
+  const firstMatch = capabilities.firstMatch === undefined ? [{}] : capabilities.firstMatch;
+
+  if (!isObject(alwaysMatch)) {
+    throw new InvalidArgumentError('capabilities.alwaysMatch must be an object');
+  }
+
+  if (!Array.isArray(firstMatch) || firstMatch.length === 0 || !firstMatch.every(isObject)) {
+    throw new InvalidArgumentError('capabilities.firstMatch must be a non-empty array of objects');
+  }
+
+  const merged = firstMatch.map(caps => {
+    Object.keys(caps).forEach(key => {
+      if (alwaysMatch[key] !== undefined) {
+        throw new InvalidArgumentError(`capability ${key} is given in both alwaysMatch and firstMatch`);
+      }
+    });
+
+    return stripVendorPrefixes(Object.assign({}, alwaysMatch, caps));
+  });
+
+  const match = merged.find(isAndroid);
+
+  if (!match) {
+    throw new SessionNotCreatedError('none of the firstMatch capabilities can be served (only Android is supported)');
+  }
+
+  return match;
+}
+
+function stripVendorPrefixes(caps) {
+  return Object.keys(caps).reduce((result, key) => {
+    if (key.startsWith(VENDOR_PREFIX)) {
+      result[key.substr(VENDOR_PREFIX.length)] = caps[key];
+    } else if (result[key] === undefined) {
+      result[key] = caps[key];
+    }
+
+    return result;
+  }, {});
+}
+
+function isAndroid(caps) {
+  return !caps.platformName || String(caps.platformName).toLowerCase() === 'android';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  parseNewSessionRequest
+};
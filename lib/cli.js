@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { Server } = require('./Server');
+const { LEVELS, FORMATS } = require('./Logger');
+
+// Server options that can be given on the command line or using environment
+// variables. All options, including ones not listed here like
+// `adbRetryPolicy`, can be given in the config file.
+const OPTIONS = [
+  {name: 'port', flag: '--port', env: 'FASTEST_PORT', type: 'port'},
+  {name: 'rootPath', flag: '--root-path', env: 'FASTEST_ROOT_PATH', type: 'path'},
+  {name: 'sdkPath', flag: '--sdk-path', env: 'FASTEST_SDK_PATH', type: 'string'},
+  {name: 'appServerPort', flag: '--app-server-port', env: 'FASTEST_APP_SERVER_PORT', type: 'port'},
+  {name: 'localAppServerPort', flag: '--local-app-server-port', env: 'FASTEST_LOCAL_APP_SERVER_PORT', type: 'port'},
+  {name: 'sessionQueueTimeout', flag: '--session-queue-timeout', env: 'FASTEST_SESSION_QUEUE_TIMEOUT', type: 'integer'},
+  {name: 'commandTimeout', flag: '--command-timeout', env: 'FASTEST_COMMAND_TIMEOUT', type: 'integer'},
+  {name: 'newCommandTimeout', flag: '--new-command-timeout', env: 'FASTEST_NEW_COMMAND_TIMEOUT', type: 'integer'},
+  {name: 'stopTimeout', flag: '--stop-timeout', env: 'FASTEST_STOP_TIMEOUT', type: 'integer'},
+  {name: 'dashboardPath', flag: '--dashboard-path', env: 'FASTEST_DASHBOARD_PATH', type: 'optionalPath'},
+  {name: 'bundletoolPath', flag: '--bundletool-path', env: 'BUNDLETOOL_PATH', type: 'string'},
+  {name: 'ffmpegPath', flag: '--ffmpeg-path', env: 'FASTEST_FFMPEG_PATH', type: 'string'},
+  {name: 'logcatDir', flag: '--logcat-dir', env: 'FASTEST_LOGCAT_DIR', type: 'string'},
+  {name: 'logLevel', flag: '--log-level', env: 'FASTEST_LOG_LEVEL', type: 'logLevel'},
+  {name: 'logFormat', flag: '--log-format', env: 'FASTEST_LOG_FORMAT', type: 'logFormat'},
+  {name: 'devices', flag: '--device', env: 'FASTEST_DEVICES', type: 'devices'}
+];
+
+const CONFIG_ONLY_OPTIONS = ['adbRetryPolicy'];
+
+const USAGE = `Usage: fastest-server [options]
+
+Options:
+  --config <file>                 JSON or JS file that exports the options
+  --port <port>                   Port to listen to (default 4723)
+  --root-path <path>              Path of the WebDriver API (default /wd/hub)
+  --sdk-path <path>               Android SDK path (default $ANDROID_HOME)
+  --app-server-port <port>        Port of the app server on the devices (default 7100)
+  --local-app-server-port <port>  First local port forwarded to the devices (default 6100)
+  --session-queue-timeout <ms>    How long session requests wait for a free device
+  --command-timeout <ms>          How long to wait for the app server to respond (default 60000)
+  --new-command-timeout <s>       End sessions that get no commands in this many seconds (default 60)
+  --stop-timeout <ms>             How long stopping waits for sessions being created (default 30000)
+  --dashboard-path <path>         Path of the web dashboard or false (default /dashboard)
+  --bundletool-path <path>        Path of the bundletool jar
+  --ffmpeg-path <path>            Path of ffmpeg
+  --logcat-dir <path>             Directory of the files written using the logcatFile capability
+  --log-level <level>             ${LEVELS.join(', ')} (default info)
+  --log-format <format>           ${FORMATS.join(' or ')} (default text)
+  --device <key=value,...>        A device of the pool, for example
+                                  --device avdName=Nexus_5X_API_23,platformVersion=6.0
+                                  Can be given many times.
+  --help                          Show this help
+
+Each option can also be given in the config file (for example {"port": 4723})
+or in an environment variable like FASTEST_PORT and FASTEST_DEVICES (a JSON
+array). Command line arguments override environment variables, which override
+the config file.`;
+
+/**
+ * Parses the command line arguments. Returns the options given as
+ * arguments, still as strings, and the config file path.
+ *
+ * ```js
+ * parseArgs(['--port', '4444', '--device', 'avdName=Nexus_5X_API_23']);
+ * // {config: null, help: false, options: {port: '4444', devices: ['avdName=Nexus_5X_API_23']}}
+ * ```
+ */
+function parseArgs(argv) {
+  const result = {
+    config: null,
+    help: false,
+    options: {}
+  };
+
+  for (let i = 0; i < argv.length; ++i) {
+    let arg = argv[i];
+    let value = null;
+
+    if (arg === '--help' || arg === '-h') {
+      result.help = true;
+      continue;
+    }
+
+    if (arg.includes('=')) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+
+    const option = OPTIONS.find(option => option.flag === arg);
+
+    if (!option && arg !== '--config') {
+      throw new Error(`unknown option ${arg}`);
+    }
+
+    if (value === null) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw new Error(`option ${arg} needs a value`);
+      }
+
+      value = argv[++i];
+    }
+
+    if (arg === '--config') {
+      result.config = value;
+    } else if (option.type === 'devices') {
+      result.options.devices = (result.options.devices || []).concat(value);
+    } else {
+      result.options[option.name] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reads a config file. `.js` files are required and must export the options
+ * object. Other files are parsed as JSON.
+ */
+function loadConfig(configPath) {
+  const fullPath = path.resolve(configPath);
+  let config;
+
+  try {
+    if (fullPath.endsWith('.js')) {
+      config = require(fullPath);
+    } else {
+      config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    }
+  } catch (err) {
+    throw new Error(`cannot read config file ${configPath}: ${err.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`config file ${configPath} must contain an object`);
+  }
+
+  return config;
+}
+
+/**
+ * Returns the Server options from the config file, the environment
+ * variables and the command line arguments. Throws if any of them is
+ * invalid.
+ */
+function resolveOptions(argv, env = process.env) {
+  const args = parseArgs(argv);
+  const configPath = args.config || env.FASTEST_CONFIG;
+  const config = configPath ? loadConfig(configPath) : {};
+
+  Object.keys(config).forEach(name => {
+    if (!OPTIONS.some(option => option.name === name) && !CONFIG_ONLY_OPTIONS.includes(name)) {
+      throw new Error(`unknown option ${name} in config file ${configPath}`);
+    }
+  });
+
+  const options = Object.assign({}, config);
+
+  OPTIONS.forEach(option => {
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      options[option.name] = convert(option, env[option.env], `environment variable ${option.env}`);
+    }
+
+    if (args.options[option.name] !== undefined) {
+      options[option.name] = convert(option, args.options[option.name], `option ${option.flag}`);
+    }
+  });
+
+  OPTIONS.forEach(option => {
+    if (options[option.name] !== undefined) {
+      validate(option, options[option.name]);
+    }
+  });
+
+  return {
+    help: args.help,
+    options
+  };
+}
+
+// Converts a string from the command line or an environment variable.
+function convert(option, value, source) {
+  if (option.type === 'port' || option.type === 'integer') {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`${source} must be a number`);
+    }
+
+    return parseInt(value, 10);
+  }
+
+  if (option.type === 'optionalPath' && value === 'false') {
+    return false;
+  }
+
+  if (option.type === 'devices') {
+    // Environment variables have a JSON array and each --device argument
+    // is a comma separated list of key=value pairs.
+    if (!Array.isArray(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        throw new Error(`${source} must be a JSON array`);
+      }
+    }
+
+    return value.map(parseDevice);
+  }
+
+  return value;
+}
+
+function parseDevice(value) {
+  return value.split(',').reduce((device, pair) => {
+    const sep = pair.indexOf('=');
+
+    if (sep === -1) {
+      throw new Error(`invalid device ${value}. Expected key=value pairs like avdName=Nexus_5X_API_23`);
+    }
+
+    const key = pair.slice(0, sep).trim();
+    const val = pair.slice(sep + 1).trim();
+
+    device[key] = /^\d+$/.test(val) && key !== 'platformVersion' ? parseInt(val, 10) : val;
+    return device;
+  }, {});
+}
+
+function validate(option, value) {
+  const name = option.name;
+
+  if (option.type === 'port') {
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+      throw new Error(`${name} must be a port number between 1 and 65535`);
+    }
+  } else if (option.type === 'integer') {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+  } else if (option.type === 'path') {
+    if (typeof value !== 'string' || !value.startsWith('/')) {
+      throw new Error(`${name} must start with /`);
+    }
+  } else if (option.type === 'optionalPath') {
+    if (value !== false && (typeof value !== 'string' || !value.startsWith('/'))) {
+      throw new Error(`${name} must start with / or be false`);
+    }
+  } else if (option.type === 'logLevel') {
+    if (!LEVELS.includes(value)) {
+      throw new Error(`${name} must be one of ${LEVELS.join(', ')}`);
+    }
+  } else if (option.type === 'logFormat') {
+    if (!FORMATS.includes(value)) {
+      throw new Error(`${name} must be one of ${FORMATS.join(', ')}`);
+    }
+  } else if (option.type === 'devices') {
+    if (!Array.isArray(value)) {
+      throw new Error(`${name} must be an array`);
+    }
+
+    value.forEach(device => {
+      if (!device || typeof device !== 'object' || (!device.avdName && !device.deviceName)) {
+        throw new Error(`each device must have an avdName or a deviceName`);
+      }
+    });
+  } else if (typeof value !== 'string' || !value) {
+    throw new Error(`${name} must be a non-empty string`);
+  }
+}
+
+/**
+ * Runs the command line interface. Starts the server and stops it when the
+ * process gets SIGINT or SIGTERM.
+ */
+function main(argv) {
+  let resolved;
+
+  try {
+    resolved = resolveOptions(argv);
+  } catch (err) {
+    console.error(`fastest-server: ${err.message}\n`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return Promise.resolve();
+  }
+
+  if (resolved.help) {
+    console.log(USAGE);
+    return Promise.resolve();
+  }
+
+  const server = new Server(resolved.options);
+  let stopping = false;
+
+  const stop = signal => {
+    if (stopping) {
+      // Second signal. Don't wait any longer.
+      process.exit(1);
+    }
+
+    stopping = true;
+    server.logger.info('stopping', {signal});
+
+    server.stop().then(() => {
+      process.exit(0);
+    }, err => {
+      server.logger.error('stopping failed', {error: err.stack});
+      process.exit(1);
+    });
+  };
+
+  return server.start().then(() => {
+    process.on('SIGINT', () => stop('SIGINT'));
+    process.on('SIGTERM', () => stop('SIGTERM'));
+
+    server.logger.info('listening', {port: server.port});
+  }, err => {
+    server.logger.error('cannot start', {error: err.message});
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  loadConfig,
+  resolveOptions,
+  main
+};
@@ -0,0 +1,124 @@
+class WebDriverError extends Error {
+
+  /**
+   * An error that is sent to the client as a WebDriver error response.
+   *
+   * `error` is the WebDriver error code (for example 'session not created')
+   * and `statusCode` the HTTP status of the response.
+   */
+  constructor({error, statusCode, message}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.error = error;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * Converts any error into an instance of the subclass this is called
+   * on. WebDriverErrors are returned as is. The stack trace of the
+   * original error is kept.
+   *
+   * ```js
+   * next(SessionNotCreatedError.from(err));
+   * ```
+   */
+  static from(err) {
+    if (err instanceof WebDriverError) {
+      return err;
+    }
+
+    const wrapped = new this(err.message);
+    wrapped.stack = err.stack;
+    return wrapped;
+  }
+
+  toJSON() {
+    return {
+      value: {
+        error: this.error,
+        message: this.message,
+        stacktrace: this.stack
+      }
+    };
+  }
+}
+
+class InvalidArgumentError extends WebDriverError {
+  constructor(message) {
+    super({
+      error: 'invalid argument',
+      statusCode: 400,
+      message
+    });
+  }
+}
+
+class InvalidSessionIdError extends WebDriverError {
+  constructor(message) {
+    super({
+      error: 'invalid session id',
+      statusCode: 404,
+      message
+    });
+  }
+}
+
+class SessionNotCreatedError extends WebDriverError {
+  constructor(message) {
+    super({
+      error: 'session not created',
+      statusCode: 500,
+      message
+    });
+  }
+}
+
+class AppCrashedError extends WebDriverError {
+
+  /**
+   * The app crashed or stopped responding while a command was run.
+   * `stacktrace` is the crash report from the device.
+   */
+  constructor(message, stacktrace) {
+    super({
+      error: 'unknown error',
+      statusCode: 500,
+      message
+    });
+
+    if (stacktrace) {
+      this.stack = stacktrace;
+    }
+  }
+}
+
+class TimeoutError extends WebDriverError {
+  constructor(message) {
+    super({
+      error: 'timeout',
+      statusCode: 500,
+      message
+    });
+  }
+}
+
+class UnknownError extends WebDriverError {
+  constructor(message) {
+    super({
+      error: 'unknown error',
+      statusCode: 500,
+      message
+    });
+  }
+}
+
+module.exports = {
+  WebDriverError,
+  InvalidArgumentError,
+  InvalidSessionIdError,
+  SessionNotCreatedError,
+  AppCrashedError,
+  TimeoutError,
+  UnknownError
+};
@@ -0,0 +1,127 @@
+const http = require('http');
+const { URL } = require('url');
+const { WebDriverError, TimeoutError, UnknownError } = require('./errors');
+
+// Headers that only concern a single connection (RFC 7230 section 6.1).
+// They are never forwarded.
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+/**
+ * Sends an HTTP request and returns a promise for the response, an
+ * `http.IncomingMessage`, as soon as its headers have arrived. `body` is a
+ * Buffer, a string or a readable stream that is piped to the request.
+ *
+ * If the connection fails or stays idle for `timeout` milliseconds the
+ * promise is rejected with a WebDriverError that tells what happened. An
+ * idle timeout after the headers destroys the response.
+ *
+ * ```js
+ * sendRequest({
+ *   method: 'POST',
+ *   url: 'http://localhost:6100/wd/hub/session/123/element',
+ *   headers: {'content-type': 'application/json'},
+ *   body: JSON.stringify({using: 'id', value: 'foo'}),
+ *   timeout: 60000
+ * }).then(res => readBody(res));
+ * ```
+ */
+function sendRequest({method, url, headers = {}, body, timeout}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {method, headers}, resolve);
+
+    if (timeout) {
+      req.setTimeout(timeout, () => {
+        req.destroy(new TimeoutError(`the app server at ${origin(url)} did not respond to ${method} ${path(url)} in ${timeout} ms`));
+      });
+    }
+
+    req.on('error', err => reject(networkError(err, {method, url})));
+
+    if (body && typeof body.pipe === 'function') {
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+/**
+ * Reads the whole body of a response into a Buffer.
+ */
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+    res.on('aborted', () => reject(new UnknownError('the app server closed the connection before sending the whole response')));
+  });
+}
+
+/**
+ * Returns the headers that can be forwarded. `omit` lists additional
+ * lower case header names to leave out.
+ */
+function forwardedHeaders(headers, omit = []) {
+  return Object.keys(headers).reduce((result, name) => {
+    if (!HOP_BY_HOP_HEADERS.includes(name) && !omit.includes(name)) {
+      result[name] = headers[name];
+    }
+
+    return result;
+  }, {});
+}
+
+function isJson(res) {
+  return /^application\/(?:[\w.+-]+\+)?json\b/i.test(res.headers['content-type'] || '');
+}
+
+// Converts a connection error into a WebDriverError with a message that
+// tells which server could not be reached and why.
+function networkError(err, {method, url}) {
+  if (err instanceof WebDriverError) {
+    return err;
+  }
+
+  const request = `${method} ${path(url)}`;
+  let message;
+
+  if (err.code === 'ECONNREFUSED') {
+    message = `cannot connect to the app server at ${origin(url)}. It is not running or the port is not forwarded (${request})`;
+  } else if (err.code === 'ECONNRESET' || err.message === 'socket hang up') {
+    message = `the app server at ${origin(url)} closed the connection without responding to ${request}`;
+  } else {
+    message = `request ${request} to the app server at ${origin(url)} failed: ${err.message}`;
+  }
+
+  const wrapped = new UnknownError(message);
+  wrapped.stack = err.stack;
+  return wrapped;
+}
+
+function origin(url) {
+  return new URL(url).origin;
+}
+
+function path(url) {
+  const parsed = new URL(url);
+  return parsed.pathname + parsed.search;
+}
+
+module.exports = {
+  sendRequest,
+  readBody,
+  forwardedHeaders,
+  isJson
+};
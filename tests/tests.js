@@ -1,36 +1,105 @@
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
 const uuid = require('uuid');
+const EventEmitter = require('events');
 const expect = require('expect.js');
 const express = require('express');
+const request = require('yaquest');
 const bodyParser = require('body-parser');
 
 const { Server } = require('../');
+const { AdbError, DeviceOfflineError, InstallError } = require('../lib/adbErrors');
+const { DevicePool } = require('../lib/DevicePool');
+const { ScreenRecorder } = require('../lib/ScreenRecorder');
+const { Logger } = require('../lib/Logger');
+const cli = require('../lib/cli');
 const { Tester } = require('fastest-tester');
 
 describe('Fastest server', () => {
   const port = 4723;
   const localAppServerPort = 6100;
-  const sdkPath = '/foo/bar'
+  // A fake SDK folder that only has the tools whose existence is checked.
+  const sdkPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fastest-sdk-'));
+  const aapt2Path = path.join(sdkPath, 'build-tools', '28.0.3', 'aapt2');
+
+  const defaultBadging = `
+    package: name='fi.foo.bar' versionCode='1' versionName='1.0'
+    sdkVersion:'21'
+    targetSdkVersion:'26'
+    launchable-activity: name='fi.foo.bar.MainActivity'  label='' icon=''
+  `;
+
+  const dangerousPermissionsBadging = `
+    package: name='fi.foo.bar' versionCode='1' versionName='1.0'
+    sdkVersion:'21'
+    targetSdkVersion:'26'
+    uses-permission: name='android.permission.RECORD_AUDIO'
+    uses-permission: name='android.permission.USE_SIP'
+    launchable-activity: name='fi.foo.bar.MainActivity'  label='' icon=''
+  `;
   
   let adbCalls = [];
   let adbResults = [];
   let spawnCalls = []; 
+  let adbSpawnCalls = [];
+  let toolCalls = [];
+  let toolResults = [];
+  let apkBadging = defaultBadging;
+  let logEntries = [];
 
   let server;
   let appServer;
 
   const newElementId = () => `element-${uuid.v4()}`;
+  const delay = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+  const createEmulatorProcess = () => {
+    const emulator = new EventEmitter();
+
+    emulator.stdout = new EventEmitter();
+    emulator.stderr = new EventEmitter();
+    emulator.kill = () => emulator.emit('exit', null, 'SIGTERM');
+
+    return emulator;
+  };
 
   class MockAndroidCommandLineTools extends Server.AndroidCommandLineTools {
-    execAdb({cmd}) {
-      adbCalls.push(cmd);
+    execAdb({args}) {
+      adbCalls.push(args.join(' '));
+      const result = adbResults.shift();
+
+      if (result instanceof Error) {
+        return Promise.reject(result);
+      }
+
       return Promise.resolve({
-        stdout: adbResults.shift(),
+        stdout: result,
         stderr: ''
       });
     }
 
     spawn(...args) {
       spawnCalls.push(args);
+      return createEmulatorProcess();
+    }
+
+    spawnAdb({args}) {
+      adbSpawnCalls.push(args.join(' '));
+      return createEmulatorProcess();
+    }
+
+    execFile(file, args) {
+      const tool = path.basename(file);
+      toolCalls.push([tool].concat(args).join(' '));
+
+      return Promise.resolve({
+        exitCode: 0,
+        stdout: tool === 'aapt2' ? apkBadging : (toolResults.shift() || ''),
+        stderr: ''
+      });
     }
   }
 
@@ -40,24 +109,49 @@ describe('Fastest server', () => {
     }
   }
 
+  before(() => {
+    fs.mkdirSync(path.join(sdkPath, 'build-tools'));
+    fs.mkdirSync(path.dirname(aapt2Path));
+    fs.writeFileSync(aapt2Path, '');
+  });
+
+  after(() => {
+    fs.unlinkSync(aapt2Path);
+    fs.rmdirSync(path.dirname(aapt2Path));
+    fs.rmdirSync(path.join(sdkPath, 'build-tools'));
+    fs.rmdirSync(sdkPath);
+  });
+
   before(() => {
     server = new MockServer({
       port,
       localAppServerPort,
-      sdkPath
+      sdkPath,
+      logcatDir: sdkPath,
+      logger: new Logger({
+        level: 'debug',
+        format: 'json',
+        output: {write: line => logEntries.push(JSON.parse(line))}
+      })
     }); 
 
     return server.start();   
   });
 
-  before(done => {
-    appServer = express();
+  const createAppServer = (port, done) => {
+    const appServer = express();
     appServer.use(bodyParser.json());
 
     appServer.requests = [];
     appServer.responses = [];
+    // Handles the requests instead of `responses` if set.
+    appServer.handler = null;
 
     appServer.use((req, res) => {
+      if (appServer.handler) {
+        return appServer.handler(req, res);
+      }
+
       appServer.requests.push({
         method: req.method,
         path: req.path,
@@ -67,7 +161,12 @@ describe('Fastest server', () => {
       res.send(appServer.responses.shift());
     });
 
-    appServer.server = appServer.listen(localAppServerPort, done);
+    appServer.server = appServer.listen(port, done);
+    return appServer;
+  };
+
+  before(done => {
+    appServer = createAppServer(localAppServerPort, done);
   });
 
   after(done => {
@@ -78,13 +177,71 @@ describe('Fastest server', () => {
     reset();
   });
 
+  afterEach(() => {
+    return endSessions(server);
+  });
+
+  const endSessions = server => {
+    return Promise.all(Array.from(server.sessions.values()).map(session => {
+      return server.endSession(session);
+    }));
+  };
+
   const reset = () => {
     appServer.responses = [];
     appServer.requests = [];
+    appServer.handler = null;
     
     adbCalls = [];
     adbResults = [];
     spawnCalls = []; 
+    adbSpawnCalls = [];
+    toolCalls = [];
+    toolResults = [];
+    apkBadging = defaultBadging;
+    logEntries = [];
+  };
+
+  // The calls made while the last session of `createSession` was created.
+  let setupCalls = null;
+
+  // Creates a session of the main server on emulator-5554 and returns a
+  // promise for its id. `adbResults` are the results of the adb calls made
+  // while creating the session. By default adb only lists emulator-5554.
+  // The mocks are reset once the session exists.
+  const createSession = (caps, {adbResults: results} = {}) => {
+    appServer.responses = [
+      // ping
+      {},
+
+      // session
+      {sessionId: 'session-id'}
+    ];
+
+    adbResults = results || [
+      // devices
+      `List of devices attached
+      emulator-5554 device`
+    ];
+
+    return request
+      .post(`http://localhost:${port}/wd/hub/session`)
+      .send({
+        desiredCapabilities: Object.assign({
+          deviceName: 'emulator-5554',
+          app: '/path/to/app.apk'
+        }, caps)
+      })
+      .then(res => {
+        setupCalls = {
+          adb: adbCalls,
+          adbSpawn: adbSpawnCalls,
+          tool: toolCalls
+        };
+
+        reset();
+        return res.body.sessionId;
+      });
   };
 
   describe('init', () => {
@@ -112,8 +269,8 @@ describe('Fastest server', () => {
         `List of devices attached
         emulator-007 somecrap`,
 
-        // shell pm list packages
-        `not.our.package`,
+        // shell getprop sys.boot_completed
+        `1`,
 
         // uninstall fi.foo.bar
         ``,
@@ -121,14 +278,6 @@ describe('Fastest server', () => {
         // install /path/to/app.apk
         ``,
 
-        // shell dumpsys package fi.foo.bar
-        `
-          requested permissions:
-          fi.some.permission
-          fi.some.other.permission
-          install permissions:
-        `,
-
         // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
         ``,
 
@@ -136,24 +285,33 @@ describe('Fastest server', () => {
         ``,
       ];
 
+      toolResults = [
+        // emulator -list-avds
+        `super-duper-avd`
+      ];
+
       return tester.init().then(() => {
+        expect(toolCalls).to.eql([
+          'aapt2 dump badging /path/to/app.apk',
+          'emulator -list-avds'
+        ]);
+
         expect(adbCalls).to.eql([ 
           'devices',
-          'shell pm list packages',
+          'shell getprop sys.boot_completed',
           'uninstall fi.foo.bar',
           'install /path/to/app.apk',
-          'shell dumpsys package fi.foo.bar',
           'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
           'forward tcp:6100 tcp:7100'
         ]);
 
         expect(spawnCalls).to.have.length(1);
         expect(spawnCalls[0]).to.eql([
-          "/foo/bar/emulator/emulator", [
+          path.join(sdkPath, 'emulator', 'emulator'), [
             '-avd',
             'super-duper-avd'
           ], {
-            stdio: 'ignore'
+            stdio: ['ignore', 'pipe', 'pipe']
           }
         ]);
 
@@ -204,14 +362,6 @@ describe('Fastest server', () => {
         // install /path/to/app.apk
         ``,
 
-        // shell dumpsys package fi.foo.bar
-        `
-          requested permissions:
-          fi.some.permission
-          fi.some.other.permission
-          install permissions:
-        `,
-
         // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
         ``,
 
@@ -224,7 +374,6 @@ describe('Fastest server', () => {
           'devices',
           'uninstall fi.foo.bar',
           'install /path/to/app.apk',
-          'shell dumpsys package fi.foo.bar',
           'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
           'forward tcp:6100 tcp:7100'
         ]);
@@ -251,6 +400,59 @@ describe('Fastest server', () => {
       });
     });
 
+    it('should log each step with its duration', () => {
+      const tester = new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5554',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`
+      ];
+
+      return tester.init().then(() => {
+        const sessionId = Array.from(server.sessions.keys())[0];
+        const entries = logEntries.filter(entry => entry.sessionId === sessionId);
+        // The request itself is logged once the response has been sent.
+        const steps = entries.filter(entry => entry.durationMs !== undefined && entry.level === 'info' && entry.message !== 'request');
+
+        expect(steps.map(entry => entry.message)).to.eql([
+          'inspect',
+          'allocate',
+          'install',
+          'permissions',
+          'launch',
+          'forward',
+          'wait-for-app-server',
+          'create-app-session'
+        ]);
+
+        entries.forEach(entry => {
+          expect(entry.requestId).to.be.a('string');
+          expect(entry.requestId).to.equal(entries[0].requestId);
+        });
+
+        const forwarded = entries.filter(entry => entry.message === 'forwarded request');
+        expect(forwarded).to.have.length(1);
+        expect(forwarded[0]).to.have.property('url', `http://localhost:${localAppServerPort}/wd/hub/session`);
+        expect(forwarded[0]).to.have.property('status', 200);
+        expect(forwarded[0].durationMs).to.be.a('number');
+      });
+    });
+
     it('should grant missing dangerous permissions', () => {
       const tester = new Tester({
         serverUrl: `http://localhost:${port}`,
@@ -268,6 +470,8 @@ describe('Fastest server', () => {
         {sessionId: 'session-id'}
       ];
 
+      apkBadging = dangerousPermissionsBadging;
+
       adbResults = [
         // devices
         `List of devices attached
@@ -279,14 +483,6 @@ describe('Fastest server', () => {
         // install /path/to/app.apk
         ``,
 
-        // shell dumpsys package fi.foo.bar
-        `
-          requested permissions:
-          android.permission.RECORD_AUDIO
-          android.permission.USE_SIP
-          install permissions:
-        `,
-
         // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
         ``,
 
@@ -305,7 +501,6 @@ describe('Fastest server', () => {
           'devices',
           'uninstall fi.foo.bar',
           'install /path/to/app.apk',
-          'shell dumpsys package fi.foo.bar',
           'shell pm grant fi.foo.bar android.permission.RECORD_AUDIO',
           'shell pm grant fi.foo.bar android.permission.USE_SIP',
           'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
@@ -336,10 +531,151 @@ describe('Fastest server', () => {
 
   });
 
-  describe('resetApp', () => {
-    let tester;
+  describe('session events', () => {
+
+    const openEventStream = path => {
+      return new Promise((resolve, reject) => {
+        const req = http.get(`http://localhost:${port}${path}`, res => {
+          const stream = {
+            status: res.statusCode,
+            contentType: res.headers['content-type'],
+            events: [],
+            ended: false,
+            close: () => req.destroy()
+          };
+
+          let buffer = '';
+
+          res.setEncoding('utf8');
+          res.on('data', data => {
+            const blocks = (buffer + data).split('\n\n');
+            buffer = blocks.pop();
+
+            blocks.forEach(block => {
+              const event = block.match(/^event: (.*)$/m);
+              const data = block.match(/^data: (.*)$/m);
+
+              if (event && data) {
+                stream.events.push({event: event[1], data: JSON.parse(data[1])});
+              }
+            });
+          });
+
+          res.on('end', () => {
+            stream.ended = true;
+          });
+
+          resolve(stream);
+        });
+
+        req.on('error', reject);
+      });
+    };
+
+    const createTester = () => {
+      return new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5554',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+    };
+
+    const describeEvent = ({event, data}) => `${event} ${event === 'phase' ? `${data.name} ${data.status}` : data.status}`;
+
+    it('should stream the phases of session creation', () => {
+      let stream;
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`
+      ];
+
+      return openEventStream('/wd/hub/fastest/events').then(res => {
+        stream = res;
+
+        expect(stream.status).to.equal(200);
+        expect(stream.contentType).to.contain('text/event-stream');
+
+        return createTester().init();
+      }).then(() => {
+        return delay(100);
+      }).then(() => {
+        stream.close();
+
+        // The forwarded session request is sent as a `command` event.
+        const events = stream.events.filter(({event}) => event !== 'command');
+
+        expect(events.map(describeEvent)).to.eql([
+          'session creating',
+          'phase inspect running',
+          'phase inspect done',
+          'phase allocate running',
+          'phase allocate done',
+          'phase install running',
+          'phase install done',
+          'phase permissions running',
+          'phase permissions done',
+          'phase launch running',
+          'phase launch done',
+          'phase forward running',
+          'phase forward done',
+          'phase wait-for-app-server running',
+          'phase wait-for-app-server done',
+          'phase create-app-session running',
+          'phase create-app-session done',
+          'session active'
+        ]);
+
+        const sessionId = events[0].data.sessionId;
+
+        stream.events.forEach(({data}) => {
+          expect(data.sessionId).to.equal(sessionId);
+        });
+
+        const installDone = events[6].data;
+        expect(installDone.durationMs).to.be.a('number');
+        expect(installDone.startedAt).to.be.a('number');
+
+        expect(events[17].data).to.have.property('deviceName', 'emulator-5554');
+        expect(events[17].data).to.have.property('packageName', 'fi.foo.bar');
+      });
+    });
+
+    it('should send the correlationId capability with the events of the session', () => {
+      let stream;
+
+      return openEventStream('/wd/hub/fastest/events').then(res => {
+        stream = res;
+        return createSession({correlationId: 'build-42'});
+      }).then(() => {
+        return delay(100);
+      }).then(() => {
+        stream.close();
+
+        const events = stream.events.filter(({event}) => event !== 'command');
+
+        expect(events).to.have.length(18);
+        events.forEach(({data}) => {
+          expect(data.correlationId).to.equal('build-42');
+        });
+      });
+    });
+
+    it('should replay the phases of a session and end the stream with the session', () => {
+      let session;
+      let stream;
 
-    beforeEach(() => {
       appServer.responses = [
         // ping
         {},
@@ -348,6 +684,43 @@ describe('Fastest server', () => {
         {sessionId: 'session-id'}
       ];
 
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`
+      ];
+
+      return createTester().init().then(() => {
+        session = Array.from(server.sessions.values())[0];
+        return openEventStream(`/wd/hub/session/${session.id}/fastest/events`);
+      }).then(res => {
+        stream = res;
+        return delay(50);
+      }).then(() => {
+        expect(stream.events.map(describeEvent)).to.eql([
+          'phase inspect done',
+          'phase allocate done',
+          'phase install done',
+          'phase permissions done',
+          'phase launch done',
+          'phase forward done',
+          'phase wait-for-app-server done',
+          'phase create-app-session done',
+          'session active'
+        ]);
+
+        return server.endSession(session);
+      }).then(() => {
+        return delay(50);
+      }).then(() => {
+        expect(describeEvent(stream.events[stream.events.length - 1])).to.equal('session ended');
+        expect(stream.ended).to.equal(true);
+      });
+    });
+
+    it('should report the phase that failed', () => {
+      let stream;
+
       adbResults = [
         // devices
         `List of devices attached
@@ -357,30 +730,93 @@ describe('Fastest server', () => {
         ``,
 
         // install /path/to/app.apk
-        ``,
+        new InstallError({
+          args: ['install', '/path/to/app.apk'],
+          exitCode: 1,
+          stdout: 'Failure [INSTALL_FAILED_INSUFFICIENT_STORAGE]',
+          stderr: '',
+          reason: 'INSTALL_FAILED_INSUFFICIENT_STORAGE'
+        })
+      ];
 
-        // shell dumpsys package fi.foo.bar
-        `
-          requested permissions:
-          android.permission.RECORD_AUDIO
-          android.permission.USE_SIP
-          install permissions:
-        `,
+      return openEventStream('/wd/hub/fastest/events').then(res => {
+        stream = res;
 
-        // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
-        ``,
+        return createTester().init().then(() => {
+          throw new Error('should have failed');
+        }, err => {
+          return delay(100);
+        });
+      }).then(() => {
+        stream.close();
 
-        // shell pm grant fi.foo.bar android.permission.USE_SIP
-        ``,
+        const events = stream.events.map(describeEvent);
 
-        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
-        ``,
+        expect(events.slice(events.indexOf('phase install running'))).to.eql([
+          'phase install running',
+          'phase install failed',
+          'session failed',
+          'session ended'
+        ]);
 
-        // forward tcp:6100 tcp:7100
-        ``,
-      ];
+        const installFailed = stream.events[events.indexOf('phase install failed')].data;
+        expect(installFailed.error).to.contain('INSTALL_FAILED_INSUFFICIENT_STORAGE');
+        expect(stream.events[events.indexOf('session failed')].data.error).to.contain('INSTALL_FAILED_INSUFFICIENT_STORAGE');
+      });
+    });
 
-      tester = new Tester({
+    it('should return an error for unknown sessions', () => {
+      return request.get(`http://localhost:${port}/wd/hub/session/foo/fastest/events`).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        expect(err.res.status).to.equal(404);
+        expect(err.res.body.value.error).to.equal('invalid session id');
+      });
+    });
+
+  });
+
+  describe('status and dashboard', () => {
+
+    const getRaw = path => {
+      return new Promise((resolve, reject) => {
+        http.get(`http://localhost:${port}${path}`, res => {
+          const chunks = [];
+
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks)
+            });
+          });
+        }).on('error', reject);
+      });
+    };
+
+    it('should tell that the server is ready', () => {
+      return request.get(`http://localhost:${port}/wd/hub/status`).then(res => {
+        expect(res.body).to.eql({
+          status: 0,
+          value: {
+            ready: true,
+            message: 'ready to create sessions',
+            build: {
+              version: require('../package.json').version
+            },
+            sessions: 0,
+            freeDevices: null
+          }
+        });
+
+        // Answered by the server, not the app server.
+        expect(appServer.requests).to.eql([]);
+      });
+    });
+
+    it('should list the sessions', () => {
+      const tester = new Tester({
         serverUrl: `http://localhost:${port}`,
         deviceName: 'emulator-5554',
         packageName: 'fi.foo.bar',
@@ -388,58 +824,136 @@ describe('Fastest server', () => {
         platformVersion: '6.0'
       });
 
-      return tester.init();
-    });
+      appServer.responses = [
+        // ping
+        {},
 
-    beforeEach(() => {
-      reset();
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`
+      ];
+
+      return tester.init().then(() => {
+        return request.get(`http://localhost:${port}/wd/hub/sessions`);
+      }).then(res => {
+        const session = Array.from(server.sessions.values())[0];
+
+        expect(res.body.status).to.equal(0);
+        expect(res.body.value).to.have.length(1);
+
+        const info = res.body.value[0];
+
+        expect(info.id).to.equal(session.id);
+        expect(info.capabilities).to.eql(session.caps);
+        expect(info.status).to.equal('active');
+        expect(info.deviceName).to.equal('emulator-5554');
+        expect(info.packageName).to.equal('fi.foo.bar');
+        expect(info.lastActivity).to.be.a('number');
+        expect(info.phases.map(phase => phase.name)).to.eql([
+          'inspect',
+          'allocate',
+          'install',
+          'permissions',
+          'launch',
+          'forward',
+          'wait-for-app-server',
+          'create-app-session'
+        ]);
+      });
     });
 
-    it('should reset app', () => {
+
+    it('should keep the latest forwarded commands', () => {
+      const tester = new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5554',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+
       appServer.responses = [
         // ping
-        {}
+        {},
+
+        // session
+        {sessionId: 'session-id'},
+
+        // source
+        {sessionId: 'session-id', status: 0, value: '<hierarchy/>'}
       ];
 
       adbResults = [
-        // shell pm clear fi.foo.bar
-        ``,
+        // devices
+        `List of devices attached
+        emulator-5554 device`
+      ];
 
-        // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
-        ``,
+      return tester.init().then(() => {
+        const sessionId = Array.from(server.sessions.keys())[0];
+        return request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/source?pretty=1`);
+      }).then(() => {
+        return request.get(`http://localhost:${port}/wd/hub/fastest/commands`);
+      }).then(res => {
+        const sessionId = Array.from(server.sessions.keys())[0];
+        const commands = res.body.value.slice(-2);
+
+        expect(commands.map(command => `${command.method} ${command.path} ${command.status}`)).to.eql([
+          'POST /wd/hub/session 200',
+          `GET /wd/hub/session/${sessionId}/source?pretty=1 200`
+        ]);
 
-        // shell pm grant fi.foo.bar android.permission.USE_SIP
-        ``,
+        expect(commands[1].sessionId).to.equal(sessionId);
+        expect(commands[1].durationMs).to.be.a('number');
+        expect(commands[1].error).to.equal(null);
+      });
+    });
 
-        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
-        ``
+    it('should serve the latest screenshot of a device', () => {
+      const png = crypto.randomBytes(1024);
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // exec-out screencap -p
+        png
       ];
 
-      return tester.resetApp().then(() => {
-        expect(adbCalls).to.eql([ 
-          'shell pm clear fi.foo.bar',
-          'shell pm grant fi.foo.bar android.permission.RECORD_AUDIO',
-          'shell pm grant fi.foo.bar android.permission.USE_SIP',
-          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1'
-        ]);
+      return getRaw('/wd/hub/fastest/devices/emulator-5554/screenshot').then(res => {
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.equal('image/png');
+        expect(res.body.equals(png)).to.equal(true);
 
-        expect(spawnCalls).to.have.length(0);
+        // A screenshot that was just taken is reused.
+        return getRaw('/wd/hub/fastest/devices/emulator-5554/screenshot');
+      }).then(res => {
+        expect(res.body.equals(png)).to.equal(true);
 
-        expect(appServer.requests).to.eql([{
-          method: 'GET',
-          path: '/ping',
-          body: {}
-        }, {
-          method: 'POST',
-          path: '/wd/hub/session/session-id/appium/app/reset',
-          body: {}
-        }]);
+        expect(adbCalls).to.eql([
+          'devices',
+          'exec-out screencap -p'
+        ]);
+      });
+    });
+
+    it('should serve the dashboard', () => {
+      return getRaw('/dashboard').then(res => {
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.contain('text/html');
+        expect(res.body.toString()).to.contain('const rootPath = "/wd/hub";');
       });
     });
 
   });
 
-  describe('test methods', () => {
+  describe('resetApp', () => {
     let tester;
 
     beforeEach(() => {
@@ -451,6 +965,8 @@ describe('Fastest server', () => {
         {sessionId: 'session-id'}
       ];
 
+      apkBadging = dangerousPermissionsBadging;
+
       adbResults = [
         // devices
         `List of devices attached
@@ -462,14 +978,6 @@ describe('Fastest server', () => {
         // install /path/to/app.apk
         ``,
 
-        // shell dumpsys package fi.foo.bar
-        `
-          requested permissions:
-          android.permission.RECORD_AUDIO
-          android.permission.USE_SIP
-          install permissions:
-        `,
-
         // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
         ``,
 
@@ -498,29 +1006,2915 @@ describe('Fastest server', () => {
       reset();
     });
 
-    it('elements', () => {
+    it('should reset app', () => {
       appServer.responses = [
-        {
-          value: [{
-            element: newElementId()
-          }]
-        }
+        // ping
+        {}
       ];
 
-      return tester
-        .elementsByXpath('some selector')
-        .then(() => {
-          expect([{ 
-            method: 'POST',
-            path: '/wd/hub/session/session-id/elements',
+      adbResults = [
+        // shell pm clear fi.foo.bar
+        ``,
+
+        // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
+        ``,
+
+        // shell pm grant fi.foo.bar android.permission.USE_SIP
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``
+      ];
+
+      return tester.resetApp().then(() => {
+        expect(adbCalls).to.eql([ 
+          'shell pm clear fi.foo.bar',
+          'shell pm grant fi.foo.bar android.permission.RECORD_AUDIO',
+          'shell pm grant fi.foo.bar android.permission.USE_SIP',
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1'
+        ]);
+
+        expect(spawnCalls).to.have.length(0);
+
+        expect(appServer.requests).to.eql([{
+          method: 'GET',
+          path: '/ping',
+          body: {}
+        }, {
+          method: 'POST',
+          path: '/wd/hub/session/session-id/appium/app/reset',
+          body: {}
+        }]);
+      });
+    });
+
+  });
+
+  describe('permissions', () => {
+
+    beforeEach(() => {
+      apkBadging = dangerousPermissionsBadging;
+    });
+
+    // Runtime permissions are granted on Android 6.0+.
+    const createAndroid13Session = (caps, options) => {
+      return createSession(Object.assign({platformVersion: '13'}, caps), options);
+    };
+
+    it('should only grant the permissions given in the grantPermissions capability', () => {
+      return createAndroid13Session({grantPermissions: ['android.permission.POST_NOTIFICATIONS']}).then(() => {
+        expect(setupCalls.adb.filter(call => call.startsWith('shell pm grant'))).to.eql([
+          'shell pm grant fi.foo.bar android.permission.POST_NOTIFICATIONS'
+        ]);
+      });
+    });
+
+    it('should not grant any permissions if grantPermissions is false', () => {
+      return createAndroid13Session({grantPermissions: false}).then(() => {
+        expect(setupCalls.adb.filter(call => call.startsWith('shell pm grant'))).to.eql([]);
+      });
+    });
+
+    it('should grant the requested dangerous permissions by default on Android 10+', () => {
+      return createAndroid13Session({}).then(() => {
+        expect(setupCalls.adb.filter(call => call.startsWith('shell pm grant'))).to.eql([
+          'shell pm grant fi.foo.bar android.permission.RECORD_AUDIO',
+          'shell pm grant fi.foo.bar android.permission.USE_SIP'
+        ]);
+      });
+    });
+
+    it('should read the permissions from the device if the APK cannot be inspected but packageName is given', () => {
+      fs.unlinkSync(aapt2Path);
+
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+        // uninstall fi.foo.bar
+        '',
+        // install /path/to/app.apk
+        'Success',
+        // shell dumpsys package fi.foo.bar
+        `Packages:
+          Package [fi.foo.bar] (1234abc):
+            requested permissions:
+              android.permission.INTERNET
+              android.permission.CAMERA
+            User 0: ceDataInode=1234 installed=true`
+      ];
+
+      return createAndroid13Session({packageName: 'fi.foo.bar'}, {adbResults}).then(() => {
+        expect(setupCalls.adb).to.eql([
+          'devices',
+          'uninstall fi.foo.bar',
+          'install /path/to/app.apk',
+          'shell dumpsys package fi.foo.bar',
+          'shell pm grant fi.foo.bar android.permission.CAMERA',
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
+          'forward tcp:6100 tcp:7100'
+        ]);
+      }).then(() => {
+        fs.writeFileSync(aapt2Path, '');
+      }, err => {
+        fs.writeFileSync(aapt2Path, '');
+        throw err;
+      });
+    });
+
+    it('should list runtime permissions', () => {
+      return createAndroid13Session({}).then(sessionId => {
+        adbResults = [
+          // shell dumpsys package fi.foo.bar
+          `Packages:
+            Package [fi.foo.bar] (1234abc):
+              requested permissions:
+                android.permission.RECORD_AUDIO
+              install permissions:
+                android.permission.INTERNET: granted=true
+              User 0: ceDataInode=1234 installed=true
+                runtime permissions:
+                  android.permission.RECORD_AUDIO: granted=false, flags=[ USER_SENSITIVE_WHEN_GRANTED ]
+                  android.permission.POST_NOTIFICATIONS: granted=true, flags=[ USER_SET ]
+              enabledComponents:`
+        ];
+
+        return request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/permissions`);
+      }).then(res => {
+        expect(adbCalls).to.eql(['shell dumpsys package fi.foo.bar']);
+        expect(res.body.value).to.eql([
+          {name: 'android.permission.RECORD_AUDIO', granted: false},
+          {name: 'android.permission.POST_NOTIFICATIONS', granted: true}
+        ]);
+      });
+    });
+
+    it('should revoke permissions and start the app again', () => {
+      return createAndroid13Session({}).then(sessionId => {
+        appServer.responses = [
+          // ping
+          {}
+        ];
+
+        return request
+          .post(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/permissions/revoke`)
+          .send({permissions: ['android.permission.RECORD_AUDIO']});
+      }).then(res => {
+        expect(res.body.value).to.equal(null);
+        expect(adbCalls).to.eql([
+          'shell pm revoke fi.foo.bar android.permission.RECORD_AUDIO',
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1'
+        ]);
+
+        // The revoke request is not forwarded to the app server.
+        expect(appServer.requests.map(req => req.path)).to.eql(['/ping']);
+      });
+    });
+
+    it('should get and set app ops', () => {
+      let sessionId;
+
+      return createAndroid13Session({}).then(id => {
+        sessionId = id;
+
+        return request
+          .post(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/appops`)
+          .send({op: 'SYSTEM_ALERT_WINDOW', mode: 'deny'});
+      }).then(() => {
+        adbResults = [
+          // shell appops get fi.foo.bar
+          `Uid mode: COARSE_LOCATION: ignore
+          SYSTEM_ALERT_WINDOW: deny; rejectTime=+1m2s ago
+          WAKE_LOCK: allow; time=+5s ago; duration=+10ms`
+        ];
+
+        return request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/appops`);
+      }).then(res => {
+        expect(adbCalls).to.eql([
+          'shell appops set fi.foo.bar SYSTEM_ALERT_WINDOW deny',
+          'shell appops get fi.foo.bar'
+        ]);
+
+        expect(res.body.value).to.eql([
+          {op: 'COARSE_LOCATION', mode: 'ignore'},
+          {op: 'SYSTEM_ALERT_WINDOW', mode: 'deny'},
+          {op: 'WAKE_LOCK', mode: 'allow'}
+        ]);
+      });
+    });
+
+    it('should fail with invalid argument for an unknown app op mode', () => {
+      return createAndroid13Session({}).then(sessionId => {
+        return request
+          .post(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/appops`)
+          .send({op: 'SYSTEM_ALERT_WINDOW', mode: 'maybe'});
+      }).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(400);
+        expect(err.res.body.value.error).to.equal('invalid argument');
+        expect(adbCalls).to.eql([]);
+      });
+    });
+
+  });
+
+  describe('activities and intents', () => {
+
+    it('should start appActivity with intentExtras and wait for appWaitActivity', () => {
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell am start -W ...
+        `Status: ok`,
+
+        // shell dumpsys window
+        `mCurrentFocus=Window{1a2b3c u0 fi.foo.bar/fi.foo.bar.SplashActivity}`,
+
+        // shell dumpsys window
+        `mCurrentFocus=Window{4d5e6f u0 fi.foo.bar/.HomeActivity}`,
+
+        // forward tcp:6100 tcp:7100
+        ``
+      ];
+
+      return createSession({
+        appActivity: '.SplashActivity',
+        appWaitActivity: 'fi.foo.bar.HomeActivity',
+        intentExtras: [
+          {key: 'user', value: 'Foo Bar'},
+          {key: 'debug', type: 'boolean', value: true}
+        ]
+      }, {adbResults}).then(() => {
+        expect(setupCalls.adb).to.eql([
+          'devices',
+          'uninstall fi.foo.bar',
+          'install /path/to/app.apk',
+          `shell am start -W -n fi.foo.bar/.SplashActivity --es user 'Foo Bar' --ez debug true`,
+          'shell dumpsys window',
+          'shell dumpsys window',
+          'forward tcp:6100 tcp:7100'
+        ]);
+      });
+    });
+
+    it('should send intents to the device', () => {
+      return createSession({}).then(sessionId => {
+        appServer.responses = [
+          // ping
+          {}
+        ];
+
+        return request
+          .post(`http://localhost:${port}/wd/hub/session/${sessionId}/fastest/intent`)
+          .send({
+            command: 'broadcast',
+            action: 'fi.foo.bar.RESET',
+            flags: 0x10000000,
+            extras: [{key: 'ids', type: 'int[]', value: [1, 2]}]
+          });
+      }).then(res => {
+        expect(res.body.value).to.equal(null);
+        expect(adbCalls).to.eql([
+          'shell am broadcast -a fi.foo.bar.RESET -f 0x10000000 --eia ids 1,2'
+        ]);
+
+        expect(appServer.requests.map(req => req.path)).to.eql(['/ping']);
+      });
+    });
+
+    it('should fail with invalid argument for an unknown intent extra type', () => {
+      return createSession({
+        intentExtras: [{key: 'foo', type: 'date', value: 'today'}]
+      }).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(400);
+        expect(err.res.body.value.error).to.equal('invalid argument');
+        expect(adbCalls).to.eql([]);
+      });
+    });
+
+  });
+
+  describe('screenshots and recordings', () => {
+    let sessionId;
+
+    beforeEach(() => {
+      return createSession({}).then(id => {
+        sessionId = id;
+      });
+    });
+
+    it('should take screenshots using adb', () => {
+      adbResults = [
+        // exec-out screencap -p
+        Buffer.from('png data')
+      ];
+
+      return request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/screenshot`).then(res => {
+        expect(res.body.value).to.equal(Buffer.from('png data').toString('base64'));
+        expect(adbCalls).to.eql(['exec-out screencap -p']);
+        // The app server is not involved.
+        expect(appServer.requests).to.eql([]);
+      });
+    });
+
+    it('should record the screen using screenrecord', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session/${sessionId}/appium/start_recording_screen`)
+        .send({options: {bitRate: 4000000, videoSize: '720x1280'}})
+        .then(() => {
+          expect(adbSpawnCalls).to.eql([
+            `shell screenrecord --time-limit 180 --bit-rate 4000000 --size 720x1280 /sdcard/fastest-${sessionId}-0.mp4`
+          ]);
+
+          // The mock adb can't stop the recording when the session ends.
+          server.sessions.get(sessionId).screenRecorder.segment.kill();
+        });
+    });
+
+    it('should fail with invalid argument if the screen is not being recorded', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session/${sessionId}/appium/stop_recording_screen`)
+        .send({})
+        .then(() => {
+          throw new Error('should not get here');
+        })
+        .catch(err => {
+          expect(err.res.status).to.equal(400);
+          expect(err.res.body.value.error).to.equal('invalid argument');
+        });
+    });
+
+  });
+
+  describe('logcat', () => {
+
+    const getLog = sessionId => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session/${sessionId}/log`)
+        .send({type: 'logcat'})
+        .then(res => res.body.value);
+    };
+
+    it('should collect the logcat of the app process', () => {
+      let sessionId;
+      let logcat;
+
+      return createSession({}).then(id => {
+        sessionId = id;
+        logcat = server.sessions.get(sessionId).logcat.process;
+
+        expect(setupCalls.adbSpawn).to.eql([
+          'shell while ! pid=$(pidof -s fi.foo.bar); do sleep 0.2; done; exec logcat -v threadtime --pid=$pid'
+        ]);
+
+        logcat.stdout.emit('data', '10-19 12:34:56.789  1234  1250 I Foo: first\n10-19 12:34:57.001  1234  1250 E Fo');
+        logcat.stdout.emit('data', 'o: second\n');
+
+        return getLog(sessionId);
+      }).then(entries => {
+        expect(entries).to.eql([{
+          timestamp: new Date(new Date().getFullYear(), 9, 19, 12, 34, 56, 789).getTime(),
+          level: 'INFO',
+          message: '10-19 12:34:56.789  1234  1250 I Foo: first'
+        }, {
+          timestamp: new Date(new Date().getFullYear(), 9, 19, 12, 34, 57, 1).getTime(),
+          level: 'SEVERE',
+          message: '10-19 12:34:57.001  1234  1250 E Foo: second'
+        }]);
+
+        logcat.stdout.emit('data', '10-19 12:34:58.000  1234  1250 W Foo: third\n');
+        return getLog(sessionId);
+      }).then(entries => {
+        // Only the new lines are returned.
+        expect(entries.map(entry => entry.message)).to.eql([
+          '10-19 12:34:58.000  1234  1250 W Foo: third'
+        ]);
+      });
+    });
+
+    it('should decode characters split between chunks', () => {
+      let sessionId;
+
+      return createSession({}).then(id => {
+        sessionId = id;
+
+        const logcat = server.sessions.get(sessionId).logcat.process;
+        const line = Buffer.from('10-19 12:34:56.789  1234  1250 I Foo: hyvää päivää\n');
+        // Splits the first 'ä' in two.
+        const splitAt = line.indexOf('ä');
+
+        logcat.stdout.emit('data', line.slice(0, splitAt + 1));
+        logcat.stdout.emit('data', line.slice(splitAt + 1));
+
+        return getLog(sessionId);
+      }).then(entries => {
+        expect(entries.map(entry => entry.message)).to.eql([
+          '10-19 12:34:56.789  1234  1250 I Foo: hyvää päivää'
+        ]);
+      });
+    });
+
+    it('should filter by tags and write the log to a file when the session ends', () => {
+      const logcatFile = path.join(sdkPath, 'logcat.txt');
+
+      return createSession({logcatTags: ['OkHttp'], logcatFile: 'logcat.txt'}).then(sessionId => {
+        expect(setupCalls.adbSpawn).to.eql([
+          'shell logcat -v threadtime -T 1 -s OkHttp:V'
+        ]);
+
+        server.sessions.get(sessionId).logcat.process.stdout.emit('data', '10-19 12:34:56.789  1234  1250 D OkHttp: GET /foo\n');
+        return request.delete(`http://localhost:${port}/wd/hub/session/${sessionId}`);
+      }).then(() => {
+        expect(fs.readFileSync(logcatFile, 'utf8')).to.equal('10-19 12:34:56.789  1234  1250 D OkHttp: GET /foo\n');
+        fs.unlinkSync(logcatFile);
+      });
+    });
+
+    it('should refuse a logcatFile outside the logcat directory', () => {
+      return createSession({logcatFile: '../../etc/passwd'}).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.body.value.message).to.equal('capability logcatFile must be a file name without a directory');
+        expect(adbCalls).to.have.length(0);
+      });
+    });
+
+    it('should stop following logcat if adb cannot be started', () => {
+      return createSession({}).then(sessionId => {
+        const logcat = server.sessions.get(sessionId).logcat;
+
+        logcat.process.emit('error', new Error('spawn adb ENOENT'));
+
+        expect(logcat.process).to.equal(null);
+        expect(logEntries.some(entry => entry.message === 'logcat failed' && entry.error === 'spawn adb ENOENT')).to.equal(true);
+      });
+    });
+
+    it('should drop the oldest lines when the buffer is full', () => {
+      return createSession({logcatBufferSize: 100}).then(sessionId => {
+        const logcat = server.sessions.get(sessionId).logcat.process;
+
+        logcat.stdout.emit('data', `${'a'.repeat(60)}\n`);
+        logcat.stdout.emit('data', `${'b'.repeat(60)}\n`);
+
+        return getLog(sessionId);
+      }).then(entries => {
+        expect(entries.map(entry => entry.message)).to.eql(['b'.repeat(60)]);
+      });
+    });
+
+    it('should not start logcat if captureLogcat is false', () => {
+      return createSession({captureLogcat: false}).then(sessionId => {
+        expect(setupCalls.adbSpawn).to.eql([]);
+        return getLog(sessionId);
+      }).then(entries => {
+        expect(entries).to.eql([]);
+      });
+    });
+
+  });
+
+  describe('app crashes', () => {
+    const crashReports = `Drop box contents: 2 entries
+Max entries: 1000
+
+========================================
+2017-10-19 12:00:00 data_app_crash (text, 120 bytes)
+Process: fi.foo.bar
+PID: 1000
+
+java.lang.IllegalStateException: old crash
+
+========================================
+2017-10-19 12:34:56 data_app_crash (text, 120 bytes)
+Process: fi.foo.bar
+PID: 1234
+
+java.lang.NullPointerException: boom
+	at fi.foo.bar.MainActivity.onClick(MainActivity.java:42)
+`;
+
+    let session;
+
+    const createUnreachableSession = caps => {
+      return createSession(Object.assign({captureLogcat: false}, caps)).then(id => {
+        session = server.sessions.get(id);
+        // Nothing listens on this port so requests to the app server fail.
+        session.localAppServerPort = 6199;
+      });
+    };
+
+    const sendCommand = () => {
+      return request
+        .get(`http://localhost:${port}/wd/hub/session/${session.id}/source`)
+        .then(() => {
+          throw new Error('should not get here');
+        })
+        .catch(err => err.res);
+    };
+
+    it('should report the crash stack trace if the app has crashed', () => {
+      return createUnreachableSession({}).then(() => {
+        adbResults = [
+          // shell pidof fi.foo.bar
+          ``,
+
+          // shell dumpsys dropbox --print data_app_crash
+          crashReports
+        ];
+
+        return sendCommand();
+      }).then(res => {
+        expect(adbCalls).to.eql([
+          'shell pidof fi.foo.bar',
+          'shell dumpsys dropbox --print data_app_crash'
+        ]);
+
+        expect(res.status).to.equal(500);
+        expect(res.body.value.error).to.equal('unknown error');
+        expect(res.body.value.message).to.contain('the app fi.foo.bar has crashed');
+        expect(res.body.value.message).to.contain('java.lang.NullPointerException: boom');
+        expect(res.body.value.message).to.not.contain('old crash');
+        expect(res.body.value.stacktrace).to.contain('MainActivity.java:42');
+      });
+    });
+
+    it('should report an ANR', () => {
+      return createUnreachableSession({}).then(() => {
+        adbResults = [
+          // shell pidof fi.foo.bar
+          `1234`,
+
+          // shell dumpsys window
+          `mCurrentFocus=Window{1a2b3c u0 Application Not Responding: fi.foo.bar}`,
+
+          // shell dumpsys dropbox --print data_app_anr
+          ``
+        ];
+
+        return sendCommand();
+      }).then(res => {
+        expect(res.status).to.equal(500);
+        expect(res.body.value.message).to.equal('the app fi.foo.bar is not responding');
+      });
+    });
+
+    it('should restart the app if relaunchAppOnCrash is true', () => {
+      return createUnreachableSession({relaunchAppOnCrash: true}).then(() => {
+        const startApp = session.cmd.startApp;
+
+        session.cmd.startApp = function () {
+          // The restarted app server listens on the right port.
+          session.localAppServerPort = localAppServerPort;
+          return startApp.apply(this, arguments);
+        };
+
+        appServer.responses = [
+          // ping
+          {}
+        ];
+
+        adbResults = [
+          // shell pidof fi.foo.bar
+          ``,
+
+          // shell dumpsys dropbox --print data_app_crash
+          crashReports
+        ];
+
+        return sendCommand();
+      }).then(res => {
+        expect(adbCalls).to.eql([
+          'shell pidof fi.foo.bar',
+          'shell dumpsys dropbox --print data_app_crash',
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1'
+        ]);
+
+        expect(res.body.value.message).to.contain('The app was restarted.');
+        expect(appServer.requests.map(req => req.path)).to.eql(['/ping']);
+      });
+    });
+
+    it('should report the original error if the app cannot be checked', () => {
+      return createUnreachableSession({}).then(() => {
+        // Like adb without a device name.
+        session.cmd.isAppRunning = () => {
+          throw new Error('missing deviceName');
+        };
+
+        return sendCommand();
+      }).then(res => {
+        expect(res.status).to.equal(500);
+        expect(res.body.value.message).to.contain('cannot connect to the app server');
+      });
+    });
+
+  });
+
+  describe('proxying', () => {
+    let session;
+
+    const createProxiedSession = caps => {
+      return createSession(Object.assign({captureLogcat: false}, caps)).then(id => {
+        session = server.sessions.get(id);
+      });
+    };
+
+    // Sends a raw request to the server and reads the whole response.
+    const sendRequest = ({method, path, headers, body}) => {
+      return new Promise((resolve, reject) => {
+        const req = http.request(`http://localhost:${port}${path}`, {method, headers}, res => {
+          const chunks = [];
+
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            resolve({
+              status: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks)
+            });
+          });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+      });
+    };
+
+    const readRequestBody = req => {
+      return new Promise(resolve => {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+      });
+    };
+
+    it('should keep the query string and the headers', () => {
+      let received;
+
+      return createProxiedSession({}).then(() => {
+        appServer.handler = (req, res) => {
+          received = req;
+          res.send({sessionId: 'session-id', status: 0, value: 'foo'});
+        };
+
+        return sendRequest({
+          method: 'GET',
+          path: `/wd/hub/session/${session.id}/source?format=xml&pretty=1`,
+          headers: {
+            'accept-language': 'fi',
+            'x-custom-header': 'custom',
+            'proxy-authorization': 'Basic secret'
+          }
+        });
+      }).then(res => {
+        expect(received.originalUrl).to.equal('/wd/hub/session/session-id/source?format=xml&pretty=1');
+        expect(received.headers['accept-language']).to.equal('fi');
+        expect(received.headers['x-custom-header']).to.equal('custom');
+        expect(received.headers).to.not.have.property('proxy-authorization');
+
+        expect(res.status).to.equal(200);
+        expect(JSON.parse(res.body.toString())).to.eql({sessionId: session.id, status: 0, value: 'foo'});
+      });
+    });
+
+    it('should stream binary request and response bodies', () => {
+      const upload = crypto.randomBytes(64 * 1024);
+      const download = crypto.randomBytes(128 * 1024);
+      let received;
+
+      return createProxiedSession({}).then(() => {
+        appServer.handler = (req, res) => {
+          readRequestBody(req).then(body => {
+            received = {contentType: req.headers['content-type'], body};
+            res.set('content-type', 'image/png').send(download);
+          });
+        };
+
+        return sendRequest({
+          method: 'POST',
+          path: `/wd/hub/session/${session.id}/fastest/file`,
+          headers: {'content-type': 'application/octet-stream'},
+          body: upload
+        });
+      }).then(res => {
+        expect(received.contentType).to.equal('application/octet-stream');
+        expect(received.body.equals(upload)).to.equal(true);
+
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.equal('image/png');
+        expect(res.body.equals(download)).to.equal(true);
+      });
+    });
+
+    it('should pass error responses of the app server through', () => {
+      return createProxiedSession({}).then(() => {
+        appServer.handler = (req, res) => {
+          res.status(404).send({sessionId: 'session-id', status: 7, value: {message: 'no such element'}});
+        };
+
+        return sendRequest({
+          method: 'POST',
+          path: `/wd/hub/session/${session.id}/element`,
+          headers: {'content-type': 'application/json'},
+          body: JSON.stringify({using: 'id', value: 'foo'})
+        });
+      }).then(res => {
+        expect(res.status).to.equal(404);
+        expect(JSON.parse(res.body.toString())).to.eql({sessionId: session.id, status: 7, value: {message: 'no such element'}});
+        expect(adbCalls).to.eql([]);
+      });
+    });
+
+    it('should fail with a timeout error if the app server does not respond', () => {
+      let pending;
+
+      return createProxiedSession({commandTimeout: 200}).then(() => {
+        appServer.handler = (req, res) => {
+          pending = res;
+        };
+
+        adbResults = [
+          // shell pidof fi.foo.bar
+          `1234`,
+
+          // shell dumpsys window
+          ``
+        ];
+
+        return sendRequest({
+          method: 'GET',
+          path: `/wd/hub/session/${session.id}/source`
+        });
+      }).then(res => {
+        pending.end();
+
+        const body = JSON.parse(res.body.toString());
+
+        expect(res.status).to.equal(500);
+        expect(body.value.error).to.equal('timeout');
+        expect(body.value.message).to.equal(`the app server at http://localhost:${localAppServerPort} did not respond to GET /wd/hub/session/session-id/source in 200 ms`);
+      });
+    });
+
+    it('should explain why the app server cannot be reached', () => {
+      return createProxiedSession({}).then(() => {
+        // Nothing listens on this port.
+        session.localAppServerPort = 6199;
+
+        adbResults = [
+          // shell pidof fi.foo.bar
+          `1234`,
+
+          // shell dumpsys window
+          ``
+        ];
+
+        return sendRequest({
+          method: 'GET',
+          path: `/wd/hub/session/${session.id}/source`
+        });
+      }).then(res => {
+        const body = JSON.parse(res.body.toString());
+
+        expect(res.status).to.equal(500);
+        expect(body.value.error).to.equal('unknown error');
+        expect(body.value.message).to.contain('cannot connect to the app server at http://localhost:6199');
+      });
+    });
+
+    it('should validate the commandTimeout capability', () => {
+      return createSession({commandTimeout: '1000'}).then(() => {
+        throw new Error('should have failed');
+      }, err => {
+        expect(err.res.status).to.equal(400);
+        expect(err.res.body.value.message).to.equal('capability commandTimeout must be a non-negative integer');
+      });
+    });
+
+  });
+
+  describe('deleteSession', () => {
+
+    // Boots the emulator so that `shutdownEmulatorOnEnd` has something to
+    // shut down.
+    const createEmulatorSession = caps => {
+      toolResults = [
+        // emulator -list-avds
+        `super-duper-avd`
+      ];
+
+      const adbResults = [
+        // devices
+        `List of devices attached`,
+
+        // shell getprop sys.boot_completed
+        `1`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+
+      return createSession(Object.assign({
+        avdName: 'super-duper-avd',
+        packageName: 'fi.foo.bar'
+      }, caps), {adbResults});
+    };
+
+    it('should stop the app and remove port forwards', () => {
+      return createEmulatorSession({}).then(sessionId => {
+        return request.delete(`http://localhost:${port}/wd/hub/session/${sessionId}`);
+      }).then(res => {
+        expect(res.status).to.equal(200);
+
+        expect(adbCalls).to.eql([
+          'shell am force-stop fi.foo.bar',
+          'forward --remove tcp:6100',
+          'reverse --remove-all'
+        ]);
+
+        expect(appServer.requests).to.eql([{
+          method: 'DELETE',
+          path: '/wd/hub/session/session-id',
+          body: {}
+        }]);
+
+        expect(server.sessions.size).to.equal(0);
+        expect(server.devicePool.adHocDevices).to.have.length(0);
+      });
+    });
+
+    it('should uninstall the app and shut down the emulator if requested', () => {
+      return createEmulatorSession({
+        uninstallAppOnEnd: true,
+        shutdownEmulatorOnEnd: true
+      }).then(sessionId => {
+        adbResults = [
+          // shell am force-stop fi.foo.bar
+          ``,
+
+          // uninstall fi.foo.bar
+          ``,
+
+          // forward --remove tcp:6100
+          ``,
+
+          // reverse --remove-all
+          ``,
+
+          // emu kill
+          ``,
+
+          // devices
+          `List of devices attached`
+        ];
+
+        return request.delete(`http://localhost:${port}/wd/hub/session/${sessionId}`);
+      }).then(() => {
+        expect(adbCalls).to.eql([
+          'shell am force-stop fi.foo.bar',
+          'uninstall fi.foo.bar',
+          'forward --remove tcp:6100',
+          'reverse --remove-all',
+          'emu kill',
+          'devices'
+        ]);
+      });
+    });
+
+    it('should fail for an unknown session', () => {
+      return request.delete(`http://localhost:${port}/wd/hub/session/not-a-session`).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(404);
+        expect(adbCalls).to.have.length(0);
+      });
+    });
+
+    it('should end sessions that receive no commands in newCommandTimeout seconds', () => {
+      let sessionId;
+
+      const getSource = () => request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/source`);
+
+      return createEmulatorSession({
+        newCommandTimeout: 0.5,
+        stopAppOnEnd: false
+      }).then(id => {
+        sessionId = id;
+
+        appServer.responses = [
+          {status: 0, value: '<hierarchy/>'},
+          {status: 0, value: '<hierarchy/>'}
+        ];
+
+        // Each command starts the timeout again.
+        return delay(300).then(getSource).then(() => delay(300)).then(getSource).then(() => delay(300));
+      }).then(() => {
+        expect(server.sessions.has(sessionId)).to.equal(true);
+        expect(adbCalls).to.eql([]);
+
+        adbResults = [
+          // shell am force-stop fi.foo.bar
+          ``,
+
+          // forward --remove tcp:6100
+          ``,
+
+          // reverse --remove-all
+          ``,
+
+          // emu kill
+          ``,
+
+          // devices
+          `List of devices attached`
+        ];
+
+        return delay(500);
+      }).then(() => {
+        expect(server.sessions.has(sessionId)).to.equal(false);
+        expect(server.emulators.size).to.equal(0);
+
+        // The app is stopped and the emulator we started is shut down
+        // even though the capabilities don't ask for it.
+        expect(adbCalls).to.eql([
+          'shell am force-stop fi.foo.bar',
+          'forward --remove tcp:6100',
+          'reverse --remove-all',
+          'emu kill',
+          'devices'
+        ]);
+
+        return getSource();
+      }).then(() => {
+        throw new Error('should not get here');
+      }, err => {
+        expect(err.res.status).to.equal(404);
+        expect(err.res.body.value.error).to.equal('invalid session id');
+        expect(err.res.body.value.message).to.equal(`session ${sessionId} was ended because it received no commands in 0.5 seconds`);
+      });
+    });
+
+    it('should not end sessions while a command is running', () => {
+      let sessionId;
+      let pending;
+
+      return createEmulatorSession({newCommandTimeout: 0.2}).then(id => {
+        sessionId = id;
+
+        appServer.handler = (req, res) => {
+          pending = res;
+        };
+
+        request.get(`http://localhost:${port}/wd/hub/session/${sessionId}/source`).catch(() => {});
+        return delay(500);
+      }).then(() => {
+        expect(server.sessions.has(sessionId)).to.equal(true);
+        pending.send({status: 0, value: '<hierarchy/>'});
+      });
+    });
+
+  });
+
+  describe('W3C protocol', () => {
+
+    beforeEach(() => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+    });
+
+    it('should merge alwaysMatch and firstMatch capabilities', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session`)
+        .send({
+          capabilities: {
+            alwaysMatch: {
+              'fastest:packageName': 'fi.foo.bar',
+              'fastest:app': '/path/to/app.apk'
+            },
+            firstMatch: [{
+              platformName: 'iOS'
+            }, {
+              platformName: 'Android',
+              'fastest:deviceName': 'emulator-5554'
+            }]
+          }
+        })
+        .then(res => {
+          const sessionId = res.body.value.sessionId;
+          const caps = {
+            packageName: 'fi.foo.bar',
+            app: '/path/to/app.apk',
+            platformName: 'Android',
+            deviceName: 'emulator-5554'
+          };
+
+          expect(server.sessions.has(sessionId)).to.equal(true);
+          expect(res.body.value.capabilities).to.eql(caps);
+
+          expect(appServer.requests[1]).to.eql({
+            method: 'POST',
+            path: '/wd/hub/session',
+            body: {
+              desiredCapabilities: caps
+            }
+          });
+        });
+    });
+
+    it('should read the package name from the APK', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session`)
+        .send({
+          capabilities: {
+            alwaysMatch: {
+              'fastest:app': '/path/to/app.apk',
+              'fastest:deviceName': 'emulator-5554'
+            }
+          }
+        })
+        .then(res => {
+          expect(res.body.value.capabilities.packageName).to.equal('fi.foo.bar');
+          expect(toolCalls).to.eql(['aapt2 dump badging /path/to/app.apk']);
+          expect(adbCalls).to.contain('install /path/to/app.apk');
+          expect(adbCalls).to.contain('shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1');
+        });
+    });
+
+    it('should fail with invalid argument if a capability is given twice', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session`)
+        .send({
+          capabilities: {
+            alwaysMatch: {
+              'fastest:deviceName': 'emulator-5554'
+            },
+            firstMatch: [{
+              'fastest:deviceName': 'emulator-5556'
+            }]
+          }
+        })
+        .then(() => {
+          throw new Error('should not get here');
+        })
+        .catch(err => {
+          expect(err.res.status).to.equal(400);
+          expect(err.res.body.value.error).to.equal('invalid argument');
+          expect(adbCalls).to.have.length(0);
+        });
+    });
+
+    it('should fail with invalid argument if a required capability is missing', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session`)
+        .send({
+          capabilities: {
+            alwaysMatch: {
+              'fastest:app': '/path/to/app.apk'
+            }
+          }
+        })
+        .then(() => {
+          throw new Error('should not get here');
+        })
+        .catch(err => {
+          expect(err.res.status).to.equal(400);
+          expect(err.res.body.value.error).to.equal('invalid argument');
+          expect(err.res.body.value.message).to.equal('capability deviceName is required');
+        });
+    });
+
+    it('should fail with session not created if the setup fails', () => {
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`
+      ];
+
+      class FailingAndroidCommandLineTools extends MockAndroidCommandLineTools {
+        installApp() {
+          return Promise.reject(new Error('install failed'));
+        }
+      }
+
+      class FailingServer extends Server {
+        static get AndroidCommandLineTools() {
+          return FailingAndroidCommandLineTools;
+        }
+      }
+
+      const failingServer = new FailingServer({port: port + 2, sdkPath, logLevel: 'silent'});
+
+      return failingServer.start().then(() => {
+        return request
+          .post(`http://localhost:${port + 2}/wd/hub/session`)
+          .send({
+            desiredCapabilities: {
+              deviceName: 'emulator-5554',
+              packageName: 'fi.foo.bar',
+              app: '/path/to/app.apk'
+            }
+          });
+      }).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(500);
+        expect(err.res.body.value.error).to.equal('session not created');
+        expect(err.res.body.value.message).to.equal('install failed');
+        expect(failingServer.sessions.size).to.equal(0);
+      }).then(() => {
+        return failingServer.stop();
+      });
+    });
+
+    it('should fail with invalid session id for unknown sessions', () => {
+      return request
+        .post(`http://localhost:${port}/wd/hub/session/not-a-session/elements`)
+        .send({
+          using: 'xpath',
+          value: 'some selector'
+        })
+        .then(() => {
+          throw new Error('should not get here');
+        })
+        .catch(err => {
+          expect(err.res.status).to.equal(404);
+          expect(err.res.body.value.error).to.equal('invalid session id');
+          expect(appServer.requests).to.have.length(0);
+        });
+    });
+
+  });
+
+  describe('install strategy', () => {
+    const apkPath = path.join(sdkPath, 'app.apk');
+    const apkHash = crypto.createHash('sha256').update('apk contents').digest('hex');
+    const deviceApkPath = '/data/app/fi.foo.bar-1/base.apk';
+
+    before(() => {
+      fs.writeFileSync(apkPath, 'apk contents');
+    });
+
+    after(() => {
+      fs.unlinkSync(apkPath);
+    });
+
+    it('should not install an unchanged app if installStrategy is ifChanged', () => {
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // shell pm path fi.foo.bar
+        `package:${deviceApkPath}`,
+
+        // shell sha256sum /data/app/fi.foo.bar-1/base.apk
+        `${apkHash}  ${deviceApkPath}`,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``
+      ];
+
+      return createSession({app: apkPath, installStrategy: 'ifChanged'}, {adbResults}).then(() => {
+        expect(setupCalls.adb).to.eql([
+          'devices',
+          'shell pm path fi.foo.bar',
+          `shell sha256sum ${deviceApkPath}`,
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
+          'forward tcp:6100 tcp:7100'
+        ]);
+      });
+    });
+
+    it('should update a changed app without uninstalling it if installStrategy is ifChanged', () => {
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // shell pm path fi.foo.bar
+        `package:${deviceApkPath}`,
+
+        // shell sha256sum /data/app/fi.foo.bar-1/base.apk
+        `0123456789abcdef  ${deviceApkPath}`,
+
+        // install -r app.apk
+        `Success`,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``
+      ];
+
+      return createSession({app: apkPath, installStrategy: 'ifChanged'}, {adbResults}).then(() => {
+        expect(setupCalls.adb).to.eql([
+          'devices',
+          'shell pm path fi.foo.bar',
+          `shell sha256sum ${deviceApkPath}`,
+          `install -r ${apkPath}`,
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
+          'forward tcp:6100 tcp:7100'
+        ]);
+      });
+    });
+
+    it('should fail if installStrategy is never and the app is not installed', () => {
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // shell pm path fi.foo.bar
+        ``
+      ];
+
+      return createSession({app: apkPath, installStrategy: 'never'}, {adbResults}).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.body.value.error).to.equal('session not created');
+        expect(err.res.body.value.message).to.contain('fi.foo.bar is not installed');
+      });
+    });
+
+    it('should install split APKs with install-multiple', () => {
+      const splitPath = path.join(sdkPath, 'split_config.xxhdpi.apk');
+
+      const adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install-multiple app.apk split_config.xxhdpi.apk
+        `Success`,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``
+      ];
+
+      return createSession({app: [apkPath, splitPath]}, {adbResults}).then(() => {
+        expect(setupCalls.tool).to.eql([`aapt2 dump badging ${apkPath}`]);
+        expect(setupCalls.adb).to.eql([
+          'devices',
+          'uninstall fi.foo.bar',
+          `install-multiple ${apkPath} ${splitPath}`,
+          'shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1',
+          'forward tcp:6100 tcp:7100'
+        ]);
+      });
+    });
+
+    it('should fail with invalid argument if app is not a path or an array of paths', () => {
+      return createSession({app: []}).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(400);
+        expect(err.res.body.value.error).to.equal('invalid argument');
+      });
+    });
+
+  });
+
+  describe('test methods', () => {
+    let tester;
+
+    beforeEach(() => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      apkBadging = dangerousPermissionsBadging;
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell pm grant fi.foo.bar android.permission.RECORD_AUDIO
+        ``,
+
+        // shell pm grant fi.foo.bar android.permission.USE_SIP
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+
+      tester = new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5554',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+
+      return tester.init();
+    });
+
+    beforeEach(() => {
+      reset();
+    });
+
+    it('elements', () => {
+      appServer.responses = [
+        {
+          value: [{
+            element: newElementId()
+          }]
+        }
+      ];
+
+      return tester
+        .elementsByXpath('some selector')
+        .then(() => {
+          expect([{ 
+            method: 'POST',
+            path: '/wd/hub/session/session-id/elements',
+            body: {
+              using: 'xpath',
+              value: 'some selector'
+            } 
+          }]);
+        });
+    });
+
+  });
+
+  describe('multiple sessions', () => {
+    const otherLocalAppServerPort = localAppServerPort + 1;
+
+    let otherAppServer;
+    let tester;
+    let otherTester;
+
+    before(done => {
+      otherAppServer = createAppServer(otherLocalAppServerPort, done);
+    });
+
+    after(done => {
+      otherAppServer.server.close(done);
+    });
+
+    beforeEach(() => {
+      otherAppServer.requests = [];
+      otherAppServer.responses = [];
+    });
+
+    beforeEach(() => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+
+      tester = new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5554',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+
+      return tester.init();
+    });
+
+    beforeEach(() => {
+      otherAppServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'other-session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 somecrap
+        emulator-5556 somecrap`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6101 tcp:7100
+        ``,
+      ];
+
+      otherTester = new Tester({
+        serverUrl: `http://localhost:${port}`,
+        deviceName: 'emulator-5556',
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk',
+        platformVersion: '6.0'
+      });
+
+      return otherTester.init();
+    });
+
+    it('should forward each session to its own app server', () => {
+      expect(adbCalls[adbCalls.length - 1]).to.equal(`forward tcp:${otherLocalAppServerPort} tcp:7100`);
+
+      appServer.requests = [];
+      otherAppServer.requests = [];
+
+      appServer.responses = [{value: []}];
+      otherAppServer.responses = [{value: []}];
+
+      return tester
+        .elementsByXpath('some selector')
+        .then(() => {
+          return otherTester.elementsByXpath('other selector');
+        })
+        .then(() => {
+          expect(appServer.requests).to.eql([{
+            method: 'POST',
+            path: '/wd/hub/session/session-id/elements',
             body: {
               using: 'xpath',
               value: 'some selector'
-            } 
+            }
+          }]);
+
+          expect(otherAppServer.requests).to.eql([{
+            method: 'POST',
+            path: '/wd/hub/session/other-session-id/elements',
+            body: {
+              using: 'xpath',
+              value: 'other selector'
+            }
           }]);
         });
     });
 
+    it('should not give the port of a session that is being torn down to a new session', () => {
+      const sessions = Array.from(server.sessions.values());
+      const session = sessions.find(it => it.deviceName === 'emulator-5554');
+      const otherSession = sessions.find(it => it.deviceName === 'emulator-5556');
+      let stopApp;
+
+      // The first session is torn down until the test lets its app stop.
+      session.cmd.stopApp = () => new Promise(resolve => {
+        stopApp = resolve;
+      });
+
+      const ending = server.endSession(session);
+
+      return server.endSession(otherSession).then(() => {
+        otherAppServer.responses = [
+          // ping
+          {},
+
+          // session
+          {sessionId: 'other-session-id'}
+        ];
+
+        adbResults = [
+          // devices
+          `List of devices attached
+          emulator-5554 somecrap
+          emulator-5556 somecrap`
+        ];
+
+        adbCalls = [];
+
+        return request
+          .post(`http://localhost:${port}/wd/hub/session`)
+          .send({
+            desiredCapabilities: {
+              deviceName: 'emulator-5556',
+              packageName: 'fi.foo.bar',
+              app: '/path/to/app.apk'
+            }
+          });
+      }).then(() => {
+        expect(adbCalls).to.contain(`forward tcp:${otherLocalAppServerPort} tcp:7100`);
+
+        stopApp();
+        return ending;
+      });
+    });
+
+  });
+
+  describe('stop', () => {
+    const stopPort = port + 3;
+    let stoppingServer;
+
+    const sessionRequest = deviceName => {
+      return request
+        .post(`http://localhost:${stopPort}/wd/hub/session`)
+        .send({
+          desiredCapabilities: {
+            deviceName,
+            app: '/path/to/app.apk',
+            captureLogcat: false
+          }
+        });
+    };
+
+    beforeEach(() => {
+      stoppingServer = new MockServer({
+        port: stopPort,
+        localAppServerPort,
+        sdkPath,
+        logLevel: 'silent'
+      });
+
+      return stoppingServer.start();
+    });
+
+    afterEach(() => {
+      return stoppingServer.stop();
+    });
+
+    it('should refuse new sessions, abort pending ones and end all sessions', () => {
+      let pending;
+      let stopped;
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device
+        emulator-5556 device`
+      ];
+
+      return sessionRequest('emulator-5554').then(() => {
+        adbResults = [
+          // devices
+          `List of devices attached
+          emulator-5554 device
+          emulator-5556 device`
+        ];
+
+        // Nothing listens on the second session's port so it keeps
+        // waiting for the app server.
+        pending = sessionRequest('emulator-5556').then(() => {
+          throw new Error('should not get here');
+        }, err => err.res);
+
+        return delay(500);
+      }).then(() => {
+        const sessions = Array.from(stoppingServer.sessions.values());
+
+        expect(sessions.map(session => session.status)).to.eql(['active', 'creating']);
+        expect(sessions[1].localAppServerPort).to.equal(localAppServerPort + 1);
+
+        adbCalls = [];
+        stopped = stoppingServer.stop();
+
+        return sessionRequest('emulator-5554').then(() => {
+          throw new Error('should not get here');
+        }, err => err.res);
+      }).then(res => {
+        expect(res.status).to.equal(500);
+        expect(res.body.value.error).to.equal('session not created');
+        expect(res.body.value.message).to.equal('the server is stopping');
+
+        return pending;
+      }).then(res => {
+        expect(res.status).to.equal(500);
+        expect(res.body.value.error).to.equal('session not created');
+
+        return stopped;
+      }).then(() => {
+        expect(stoppingServer.sessions.size).to.equal(0);
+        expect(adbCalls).to.contain(`forward --remove tcp:${localAppServerPort}`);
+        expect(adbCalls).to.contain(`forward --remove tcp:${localAppServerPort + 1}`);
+        expect(adbCalls.filter(call => call === 'shell am force-stop fi.foo.bar')).to.have.length(2);
+      });
+    });
+
+    it('should not wait for stuck pipelines longer than stopTimeout', () => {
+      let session;
+      let reset;
+
+      stoppingServer.stopTimeout = 300;
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        emulator-5554 device`
+      ];
+
+      return sessionRequest('emulator-5554').then(res => {
+        session = stoppingServer.sessions.get(res.body.sessionId);
+        // adb never returns.
+        session.cmd.clearApp = () => new Promise(() => {});
+
+        reset = request
+          .post(`http://localhost:${stopPort}/wd/hub/session/${session.id}/appium/app/reset`)
+          .send({})
+          .then(() => 'responded', () => 'failed');
+
+        return delay(100);
+      }).then(() => {
+        const startTime = Date.now();
+
+        return stoppingServer.stop().then(() => {
+          expect(Date.now() - startTime).to.be.within(300, 2000);
+          expect(stoppingServer.sessions.size).to.equal(0);
+          expect(session.status).to.equal('ended');
+
+          return reset;
+        });
+      }).then(result => {
+        expect(result).to.equal('failed');
+      });
+    });
+
+  });
+
+  describe('device pool', () => {
+    const poolPort = port + 1;
+    let poolServer;
+
+    before(() => {
+      poolServer = new MockServer({
+        port: poolPort,
+        localAppServerPort,
+        sdkPath,
+        sessionQueueTimeout: 500,
+        logLevel: 'silent',
+        devices: [
+          {avdName: 'avd-6', platformVersion: '6.0'},
+          {deviceName: 'phone-7', platformVersion: '7.1.1'}
+        ]
+      });
+
+      return poolServer.start();
+    });
+
+    after(() => {
+      return poolServer.stop();
+    });
+
+    afterEach(() => {
+      return endSessions(poolServer);
+    });
+
+    const createTester = caps => {
+      return new Tester(Object.assign({
+        serverUrl: `http://localhost:${poolPort}`,
+        packageName: 'fi.foo.bar',
+        app: '/path/to/app.apk'
+      }, caps));
+    };
+
+    const sessionDevices = () => {
+      return Array.from(poolServer.sessions.values()).map(session => session.deviceName);
+    };
+
+    it('should pick a running device that matches the platform version', () => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+
+      return createTester({platformVersion: '7.1'}).init().then(() => {
+        expect(spawnCalls).to.have.length(0);
+        expect(sessionDevices()).to.eql(['phone-7']);
+      });
+    });
+
+    it('should list the devices and the sessions that use them', () => {
+      const getprop = [
+        `[ro.build.version.release]: [7.1.1]`,
+        `[ro.build.version.sdk]: [25]`,
+        `[ro.product.model]: [Nexus 5X]`
+      ].join('\n');
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        phone-7 device`
+      ];
+
+      return createTester({platformVersion: '7.1'}).init().then(() => {
+        reset();
+
+        adbResults = [
+          // devices
+          `List of devices attached
+          phone-7 device
+          emulator-5580 offline`,
+
+          // shell getprop
+          getprop
+        ];
+
+        return request.get(`http://localhost:${poolPort}/wd/hub/fastest/devices`);
+      }).then(res => {
+        const session = Array.from(poolServer.sessions.values())[0];
+
+        expect(adbCalls).to.eql([
+          'devices',
+          'shell getprop'
+        ]);
+
+        expect(res.body).to.eql({
+          status: 0,
+          value: [{
+            deviceName: 'phone-7',
+            state: 'device',
+            model: 'Nexus 5X',
+            apiLevel: 25,
+            platformVersion: '7.1.1',
+            avdName: null,
+            session: session.id,
+            configured: true,
+            startedByServer: false
+          }, {
+            deviceName: 'emulator-5580',
+            state: 'offline',
+            model: null,
+            apiLevel: null,
+            platformVersion: null,
+            avdName: null,
+            session: null,
+            configured: false,
+            startedByServer: false
+          }, {
+            deviceName: null,
+            state: 'not running',
+            model: null,
+            apiLevel: null,
+            platformVersion: '6.0',
+            avdName: 'avd-6',
+            session: null,
+            configured: true,
+            startedByServer: false
+          }]
+        });
+
+        return request.get(`http://localhost:${poolPort}/wd/hub/status`);
+      }).then(res => {
+        expect(res.body.value.ready).to.equal(true);
+        expect(res.body.value.freeDevices).to.equal(1);
+      });
+    });
+
+    it('should boot an emulator if no running device matches', () => {
+      toolResults = [
+        // emulator -list-avds
+        `avd-6`
+      ];
+
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        // shell getprop sys.boot_completed
+        `1`,
+
+        // uninstall fi.foo.bar
+        ``,
+
+        // install /path/to/app.apk
+        ``,
+
+        // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+        ``,
+
+        // forward tcp:6100 tcp:7100
+        ``,
+      ];
+
+      return createTester({deviceName: 'avd-*'}).init().then(() => {
+        expect(spawnCalls).to.eql([[
+          path.join(sdkPath, 'emulator', 'emulator'), [
+            '-avd',
+            'avd-6',
+            '-port',
+            '5554'
+          ], {
+            stdio: ['ignore', 'pipe', 'pipe']
+          }
+        ]]);
+
+        expect(sessionDevices()).to.eql(['emulator-5554']);
+      });
+    });
+
+    const initAdbResults = () => [
+      // uninstall fi.foo.bar
+      ``,
+
+      // install /path/to/app.apk
+      ``,
+
+      // shell monkey -p fi.foo.bar -c android.intent.category.LAUNCHER 1
+      ``,
+
+      // forward tcp:6100 tcp:7100
+      ``,
+    ];
+
+    it('should wait until a matching device is free', () => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'},
+
+        // ping
+        {},
+
+        // session
+        {sessionId: 'other-session-id'}
+      ];
+
+      adbResults = [].concat(
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        initAdbResults(),
+
+        // devices (no free device)
+        `List of devices attached
+        phone-7 device`,
+
+        // shell am force-stop fi.foo.bar
+        ``,
+
+        // forward --remove tcp:6100
+        ``,
+
+        // reverse --remove-all
+        ``,
+
+        // devices (after the first session has ended)
+        `List of devices attached
+        phone-7 device`,
+
+        initAdbResults()
+      );
+
+      let firstSession;
+      let waiting;
+
+      return createTester({platformVersion: '7'}).init().then(() => {
+        firstSession = Array.from(poolServer.sessions.values())[0];
+        waiting = createTester({platformVersion: '7'}).init();
+        return delay(100);
+      }).then(() => {
+        expect(poolServer.devicePool.queue).to.have.length(1);
+        return poolServer.endSession(firstSession);
+      }).then(() => {
+        return waiting;
+      }).then(() => {
+        expect(poolServer.devicePool.queue).to.have.length(0);
+        expect(sessionDevices()).to.eql(['phone-7']);
+      });
+    });
+
+    it('should refuse requests to a session that is waiting for a device', () => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [].concat(
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        initAdbResults(),
+
+        // devices (no free device)
+        `List of devices attached
+        phone-7 device`
+      );
+
+      let waiting;
+      let waitingSession;
+
+      const expectInvalidSessionId = promise => {
+        return promise.then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err.res.status).to.equal(404);
+          expect(err.res.body.value.error).to.equal('invalid session id');
+          expect(err.res.body.value.message).to.equal(`session ${waitingSession.id} is still being created`);
+        });
+      };
+
+      return createTester({platformVersion: '7'}).init().then(() => {
+        waiting = createTester({platformVersion: '7'}).init().catch(err => err);
+        return delay(100);
+      }).then(() => {
+        waitingSession = Array.from(poolServer.sessions.values()).find(session => session.status === 'creating');
+        return expectInvalidSessionId(request.get(`http://localhost:${poolPort}/wd/hub/session/${waitingSession.id}/source`));
+      }).then(() => {
+        return expectInvalidSessionId(request.delete(`http://localhost:${poolPort}/wd/hub/session/${waitingSession.id}`));
+      }).then(() => {
+        expect(poolServer.devicePool.queue).to.have.length(1);
+        return waiting;
+      }).then(err => {
+        // The queue timeout.
+        expect(err.res.body.value.error).to.equal('session not created');
+      });
+    });
+
+    it('should release a device acquired by a session that was ended while waiting', () => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [].concat(
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        initAdbResults(),
+
+        // devices (no free device)
+        `List of devices attached
+        phone-7 device`,
+
+        // shell am force-stop fi.foo.bar
+        ``,
+
+        // forward --remove tcp:6100
+        ``,
+
+        // reverse --remove-all
+        ``,
+
+        // devices (after the first session has ended)
+        `List of devices attached
+        phone-7 device`
+      );
+
+      let firstSession;
+      let waiting;
+
+      return createTester({platformVersion: '7'}).init().then(() => {
+        firstSession = Array.from(poolServer.sessions.values())[0];
+        waiting = createTester({platformVersion: '7'}).init().catch(err => err);
+        return delay(100);
+      }).then(() => {
+        const waitingSession = Array.from(poolServer.sessions.values()).find(session => session.status === 'creating');
+        return poolServer.endSession(waitingSession);
+      }).then(() => {
+        return poolServer.endSession(firstSession);
+      }).then(() => {
+        return waiting;
+      }).then(err => {
+        const device = poolServer.devicePool.devices.find(device => device.deviceName === 'phone-7');
+
+        expect(err.res.body.value.error).to.equal('session not created');
+        expect(err.res.body.value.message).to.contain('the session was ended while it was being created');
+        expect(device.session).to.equal(null);
+        expect(poolServer.sessions.size).to.equal(0);
+      });
+    });
+
+    it('should fail if no matching device becomes free in time', () => {
+      appServer.responses = [
+        // ping
+        {},
+
+        // session
+        {sessionId: 'session-id'}
+      ];
+
+      adbResults = [].concat(
+        // devices
+        `List of devices attached
+        phone-7 device`,
+
+        initAdbResults(),
+
+        // devices
+        `List of devices attached
+        phone-7 device`
+      );
+
+      return createTester({platformVersion: '7'}).init().then(() => {
+        return createTester({platformVersion: '7'}).init();
+      }).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(500);
+        expect(err.res.body.value.error).to.equal('session not created');
+        expect(poolServer.devicePool.queue).to.have.length(0);
+        expect(sessionDevices()).to.eql(['phone-7']);
+      });
+    });
+
+    it('should only use devices that are free right away with a zero queue timeout', () => {
+      const devicePool = new DevicePool({
+        devices: [{deviceName: 'phone-7', platformVersion: '7.1.1'}],
+        listRunningDevices: () => delay(50).then(() => ['phone-7']),
+        queueTimeout: 0
+      });
+
+      return devicePool.acquire({caps: {}, session: 'session-id'}).then(({device}) => {
+        expect(device.session).to.equal('session-id');
+        return devicePool.acquire({caps: {}, session: 'other-session-id'});
+      }).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.message).to.equal('no matching device became free in 0 ms');
+        expect(devicePool.queue).to.have.length(0);
+      });
+    });
+
+    it('should give a pooled emulator a free port again once it has been stopped', () => {
+      let runningDevices = [];
+
+      const devicePool = new DevicePool({
+        devices: [{avdName: 'avd-6', platformVersion: '6.0'}],
+        listRunningDevices: () => Promise.resolve(runningDevices)
+      });
+
+      return devicePool.acquire({caps: {}, session: 'session-id'}).then(({device}) => {
+        expect(device.deviceName).to.equal('emulator-5554');
+        devicePool.release(device, {stopped: true});
+
+        // Another emulator was started on the same port meanwhile.
+        runningDevices = ['emulator-5554'];
+        return devicePool.acquire({caps: {}, session: 'other-session-id'});
+      }).then(({device}) => {
+        expect(device.avdName).to.equal('avd-6');
+        expect(device.deviceName).to.equal('emulator-5556');
+        expect(device.port).to.equal(5556);
+      });
+    });
+
+    it('should fail right away if no device in the pool matches', () => {
+      return createTester({platformVersion: '8.0'}).init().then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.res.status).to.equal(500);
+        expect(err.res.body.value.error).to.equal('session not created');
+        expect(adbCalls).to.have.length(0);
+      });
+    });
+
+  });
+
+  describe('cli', () => {
+    const configPath = path.join(sdkPath, 'fastest.json');
+
+    afterEach(() => {
+      if (fs.existsSync(configPath)) {
+        fs.unlinkSync(configPath);
+      }
+    });
+
+    it('should parse command line arguments', () => {
+      const args = cli.parseArgs([
+        '--port', '4444',
+        '--root-path=/wd',
+        '--device', 'avdName=Nexus_5X_API_23,platformVersion=6.0,apiLevel=23',
+        '--device', 'deviceName=0123456789ABCDEF'
+      ]);
+
+      expect(args).to.eql({
+        config: null,
+        help: false,
+        options: {
+          port: '4444',
+          rootPath: '/wd',
+          devices: [
+            'avdName=Nexus_5X_API_23,platformVersion=6.0,apiLevel=23',
+            'deviceName=0123456789ABCDEF'
+          ]
+        }
+      });
+    });
+
+    it('should merge the config file, environment variables and arguments', () => {
+      fs.writeFileSync(configPath, JSON.stringify({
+        port: 4444,
+        rootPath: '/wd',
+        sdkPath: '/config/sdk',
+        adbRetryPolicy: {retries: 1},
+        devices: [{avdName: 'Nexus_5X_API_23'}]
+      }));
+
+      const env = {
+        FASTEST_SDK_PATH: '/env/sdk',
+        FASTEST_PORT: '5555'
+      };
+
+      const { options } = cli.resolveOptions([
+        '--config', configPath,
+        '--port', '6666',
+        '--device', 'avdName=Pixel_API_28,platformVersion=9,apiLevel=28'
+      ], env);
+
+      expect(options).to.eql({
+        port: 6666,
+        rootPath: '/wd',
+        sdkPath: '/env/sdk',
+        adbRetryPolicy: {retries: 1},
+        devices: [{avdName: 'Pixel_API_28', platformVersion: '9', apiLevel: 28}]
+      });
+    });
+
+    it('should report invalid options', () => {
+      const errorOf = (argv, env) => {
+        try {
+          cli.resolveOptions(argv, env || {});
+        } catch (err) {
+          return err.message;
+        }
+      };
+
+      fs.writeFileSync(configPath, JSON.stringify({prot: 4444}));
+
+      expect(errorOf(['--prot', '4444'])).to.equal('unknown option --prot');
+      expect(errorOf(['--port'])).to.equal('option --port needs a value');
+      expect(errorOf(['--port', 'abc'])).to.equal('option --port must be a number');
+      expect(errorOf(['--port', '70000'])).to.equal('port must be a port number between 1 and 65535');
+      expect(errorOf(['--log-level', 'loud'])).to.contain('logLevel must be one of');
+      expect(errorOf(['--device', 'platformVersion=6.0'])).to.equal('each device must have an avdName or a deviceName');
+      expect(errorOf([], {FASTEST_DEVICES: '{'})).to.equal('environment variable FASTEST_DEVICES must be a JSON array');
+      expect(errorOf(['--config', configPath])).to.equal(`unknown option prot in config file ${configPath}`);
+    });
+
+  });
+
+  describe('Logger', () => {
+
+    it('should write log entries as text', () => {
+      const lines = [];
+      const logger = new Logger({level: 'info', output: {write: line => lines.push(line)}});
+
+      logger.child({sessionId: 'session-id'}).info('app installed', {durationMs: 1234, args: ['a']});
+      logger.debug('not logged');
+
+      expect(lines).to.have.length(1);
+      expect(lines[0]).to.match(/^\d{4}-\d\d-\d\dT[\d:.]+Z INFO app installed sessionId=session-id durationMs=1234 args=\["a"\]\n$/);
+    });
+
+  });
+
+  describe('ScreenRecorder', () => {
+    let cmd;
+    let calls;
+    let segments;
+
+    beforeEach(() => {
+      calls = [];
+      segments = [];
+
+      cmd = {
+        startScreenRecording({devicePath, timeLimit}) {
+          const segment = createEmulatorProcess();
+
+          calls.push(`record ${devicePath} ${timeLimit}`);
+          segments.push(segment);
+
+          return segment;
+        },
+
+        stopScreenRecording() {
+          calls.push('stop');
+          segments[segments.length - 1].emit('exit', 0, null);
+          return Promise.resolve();
+        },
+
+        pullFile({devicePath, hostPath}) {
+          calls.push(`pull ${devicePath}`);
+          fs.writeFileSync(hostPath, path.basename(devicePath));
+          return Promise.resolve();
+        },
+
+        removeDeviceFile({devicePath}) {
+          calls.push(`rm ${devicePath}`);
+          return Promise.resolve();
+        },
+
+        concatVideos({inputPaths, outputPath}) {
+          calls.push(`concat ${inputPaths.length}`);
+          fs.writeFileSync(outputPath, inputPaths.map(it => fs.readFileSync(it, 'utf8')).join('+'));
+          return Promise.resolve();
+        }
+      };
+    });
+
+    it('should chain segments and join them when stopped', () => {
+      const recorder = new ScreenRecorder({cmd, name: 'foo', timeLimit: 600});
+
+      recorder.start();
+
+      // The first segment hits screenrecord's time limit.
+      return delay(1100).then(() => {
+        segments[0].emit('exit', 0, null);
+        return recorder.stop();
+      }).then(video => {
+        expect(video.toString()).to.equal('fastest-foo-0.mp4+fastest-foo-1.mp4');
+        expect(calls).to.eql([
+          'record /sdcard/fastest-foo-0.mp4 180',
+          'record /sdcard/fastest-foo-1.mp4 180',
+          'stop',
+          'pull /sdcard/fastest-foo-0.mp4',
+          'pull /sdcard/fastest-foo-1.mp4',
+          'concat 2',
+          'rm /sdcard/fastest-foo-0.mp4',
+          'rm /sdcard/fastest-foo-1.mp4'
+        ]);
+      });
+    });
+
+    it('should fail if screenrecord exits right away', () => {
+      const recorder = new ScreenRecorder({cmd, name: 'foo'});
+
+      recorder.start();
+      segments[0].stderr.emit('data', 'Unable to get output buffers (err=-38)');
+      segments[0].emit('exit', 1, null);
+
+      return recorder.stop().then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.message).to.contain('Unable to get output buffers');
+        expect(calls).to.eql([
+          'record /sdcard/fastest-foo-0.mp4 180',
+          'rm /sdcard/fastest-foo-0.mp4'
+        ]);
+      });
+    });
+
+    it('should fail if adb cannot be started', () => {
+      const recorder = new ScreenRecorder({cmd, name: 'foo'});
+
+      recorder.start();
+      segments[0].emit('error', new Error('spawn adb ENOENT'));
+
+      return recorder.stop().then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.message).to.equal('screenrecord failed: spawn adb ENOENT');
+        expect(recorder.segment).to.equal(null);
+      });
+    });
+
+  });
+
+  describe('AndroidCommandLineTools', () => {
+    let cmd;
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+
+      cmd = new Server.AndroidCommandLineTools({sdkPath, deviceName: 'emulator-5554'});
+      cmd.execAdb = ({args}) => {
+        calls.push(args);
+        return Promise.resolve({stdout: '', stderr: ''});
+      };
+    });
+
+    it('should pass arguments with spaces as one argument', () => {
+      return cmd.installApp({packageName: 'fi.foo.bar', apkPath: '/path/to/my app.apk'}).then(() => {
+        expect(calls).to.eql([
+          ['uninstall', 'fi.foo.bar'],
+          ['install', '/path/to/my app.apk']
+        ]);
+      });
+    });
+
+    it('should quote adb shell arguments for the device shell', () => {
+      return cmd.clearApp({packageName: `fi.foo.bar'; reboot; echo '`}).then(() => {
+        expect(calls).to.eql([
+          ['shell', 'pm', 'clear', `'fi.foo.bar'\\''; reboot; echo '\\'''`]
+        ]);
+      });
+    });
+
+    it('should log adb commands with their duration', () => {
+      const lines = [];
+
+      cmd.logger = new Logger({
+        level: 'debug',
+        format: 'json',
+        output: {write: line => lines.push(JSON.parse(line))}
+      }).child({sessionId: 'session-id'});
+
+      delete cmd.execAdb;
+      cmd.execFile = () => Promise.resolve({exitCode: 0, stdout: '', stderr: ''});
+
+      return cmd.clearApp({packageName: 'fi.foo.bar'}).then(() => {
+        expect(lines).to.have.length(1);
+        expect(lines[0]).to.have.property('level', 'debug');
+        expect(lines[0]).to.have.property('message', 'adb');
+        expect(lines[0]).to.have.property('sessionId', 'session-id');
+        expect(lines[0]).to.have.property('args', '-s emulator-5554 shell pm clear fi.foo.bar');
+        expect(lines[0]).to.have.property('exitCode', 0);
+        expect(lines[0].durationMs).to.be.a('number');
+      });
+    });
+
+    it('should read APK information using aapt2', () => {
+      cmd.execFile = (file, args) => {
+        calls.push([file].concat(args));
+
+        return Promise.resolve({
+          exitCode: 0,
+          stdout: [
+            `package: name='fi.foo.bar' versionCode='12' versionName='1.2.0' compileSdkVersion='28'`,
+            `sdkVersion:'21'`,
+            `targetSdkVersion:'28'`,
+            `uses-permission: name='android.permission.CAMERA'`,
+            `uses-permission: name='android.permission.WRITE_EXTERNAL_STORAGE' maxSdkVersion='18'`,
+            `application-label:'Foo'`,
+            `launchable-activity: name='fi.foo.bar.MainActivity'  label='Foo' icon=''`
+          ].join('\n'),
+          stderr: ''
+        });
+      };
+
+      return cmd.apkInfo({apkPath: '/path/to/app.apk'}).then(info => {
+        expect(calls).to.eql([
+          [aapt2Path, 'dump', 'badging', '/path/to/app.apk']
+        ]);
+
+        expect(info).to.eql({
+          packageName: 'fi.foo.bar',
+          versionCode: 12,
+          versionName: '1.2.0',
+          minSdkVersion: 21,
+          targetSdkVersion: 28,
+          requestedPermissions: [
+            'android.permission.CAMERA',
+            'android.permission.WRITE_EXTERNAL_STORAGE'
+          ],
+          launchableActivity: 'fi.foo.bar.MainActivity'
+        });
+      });
+    });
+
+    it('should start an emulator with the given options', () => {
+      const spawned = [];
+
+      cmd.execAdb = ({args}) => {
+        calls.push(args);
+        return Promise.resolve({stdout: '1\n', stderr: ''});
+      };
+
+      cmd.spawn = (...args) => {
+        spawned.push(args);
+        return createEmulatorProcess();
+      };
+
+      return cmd.startDevice({
+        avdName: 'super-duper-avd',
+        port: 5556,
+        headless: true,
+        noSnapshot: true,
+        gpu: 'swiftshader_indirect',
+        memory: 2048
+      }).then(emulator => {
+        expect(emulator).to.be.an(EventEmitter);
+        expect(spawned[0][1]).to.eql([
+          '-avd', 'super-duper-avd',
+          '-port', '5556',
+          '-no-window',
+          '-no-snapshot',
+          '-gpu', 'swiftshader_indirect',
+          '-memory', '2048'
+        ]);
+        expect(calls).to.eql([
+          ['shell', 'getprop', 'sys.boot_completed']
+        ]);
+      });
+    });
+
+    it('should fail with the emulator output if the emulator dies while booting', () => {
+      cmd.spawn = () => {
+        const emulator = createEmulatorProcess();
+
+        setTimeout(() => {
+          emulator.stderr.emit('data', 'PANIC: Missing emulator engine program for x86 CPU.');
+          emulator.emit('exit', 1, null);
+        }, 10);
+
+        return emulator;
+      };
+
+      return cmd.startDevice({avdName: 'super-duper-avd'}).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.message).to.contain('exited before it booted');
+        expect(err.message).to.contain('PANIC: Missing emulator engine program');
+      });
+    });
+
+    it('should fail if the emulator cannot be started', () => {
+      cmd.spawn = () => {
+        const emulator = createEmulatorProcess();
+
+        setTimeout(() => {
+          const err = new Error('spawn /sdk/emulator/emulator ENOENT');
+          err.code = 'ENOENT';
+          emulator.emit('error', err);
+        }, 10);
+
+        return emulator;
+      };
+
+      return cmd.startDevice({avdName: 'super-duper-avd'}).then(() => {
+        throw new Error('should not get here');
+      }).catch(err => {
+        expect(err.message).to.contain('could not start the emulator');
+        expect(err.message).to.contain('ENOENT');
+      });
+    });
+
+    it('should read crash reports from a dropbox larger than the default output buffer', () => {
+      const options = [];
+
+      cmd.execAdb = opt => {
+        options.push(opt);
+
+        return Promise.resolve({
+          stdout: [
+            'Drop box contents: 1 entries',
+            '========================================',
+            '2017-10-19 12:34:56 data_app_crash (text, 120 bytes)',
+            'Process: fi.foo.bar',
+            '',
+            'java.lang.NullPointerException: boom'
+          ].join('\n'),
+          stderr: ''
+        });
+      };
+
+      return cmd.lastCrashReport({packageName: 'fi.foo.bar'}).then(report => {
+        expect(report).to.contain('java.lang.NullPointerException: boom');
+        expect(options[0].maxBuffer).to.be.greaterThan(1024 * 1024);
+      });
+    });
+
+    describe('AVDs', () => {
+      let sdkDir;
+
+      beforeEach(() => {
+        sdkDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastest-sdk-'));
+
+        fs.mkdirSync(path.join(sdkDir, 'tools'));
+        fs.mkdirSync(path.join(sdkDir, 'tools', 'bin'));
+        fs.writeFileSync(path.join(sdkDir, 'tools', 'bin', 'sdkmanager'), '');
+        fs.writeFileSync(path.join(sdkDir, 'tools', 'bin', 'avdmanager'), '');
+
+        cmd = new Server.AndroidCommandLineTools({sdkPath: sdkDir, avdName: 'super-duper-avd'});
+        cmd.execFile = (file, args, opt) => {
+          calls.push([path.relative(sdkDir, file)].concat(args, opt && opt.input || []));
+          return Promise.resolve({exitCode: 0, stdout: '', stderr: ''});
+        };
+      });
+
+      afterEach(() => {
+        ['sdkmanager', 'avdmanager'].forEach(tool => fs.unlinkSync(path.join(sdkDir, 'tools', 'bin', tool)));
+        fs.rmdirSync(path.join(sdkDir, 'tools', 'bin'));
+        fs.rmdirSync(path.join(sdkDir, 'tools'));
+        fs.rmdirSync(sdkDir);
+      });
+
+      it('should create a missing AVD and install its system image', () => {
+        return cmd.ensureAvd({apiLevel: 23, abi: 'x86', deviceProfile: 'Nexus 5X'}).then(() => {
+          expect(calls).to.eql([
+            ['emulator/emulator', '-list-avds'],
+            ['tools/bin/sdkmanager', '--install', 'system-images;android-23;google_apis;x86'],
+            [
+              'tools/bin/avdmanager',
+              'create', 'avd',
+              '--name', 'super-duper-avd',
+              '--package', 'system-images;android-23;google_apis;x86',
+              '--device', 'Nexus 5X',
+              'no\n'
+            ]
+          ]);
+        });
+      });
+
+      it('should fail if a missing AVD cannot be created', () => {
+        return cmd.ensureAvd({}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err.message).to.contain('AVD super-duper-avd does not exist');
+          expect(calls).to.eql([
+            ['emulator/emulator', '-list-avds']
+          ]);
+        });
+      });
+
+    });
+
+    describe('split APKs and bundles', () => {
+
+      it('should update split APKs atomically', () => {
+        return cmd.updateApp({packageName: 'fi.foo.bar', apkPath: ['/path/to/base.apk', '/path/to/split.apk']}).then(() => {
+          expect(calls).to.eql([
+            ['install-multiple', '-r', '/path/to/base.apk', '/path/to/split.apk']
+          ]);
+        });
+      });
+
+      it('should fail if bundletool is not configured', () => {
+        const bundletoolPath = process.env.BUNDLETOOL_PATH;
+        delete process.env.BUNDLETOOL_PATH;
+        cmd = new Server.AndroidCommandLineTools({sdkPath, deviceName: 'emulator-5554'});
+
+        if (bundletoolPath !== undefined) {
+          process.env.BUNDLETOOL_PATH = bundletoolPath;
+        }
+
+        return cmd.apkInfo({apkPath: '/path/to/app.aab'}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err.message).to.contain('bundletool is needed');
+        });
+      });
+
+      it('should read bundle information using bundletool', () => {
+        const values = {
+          '/manifest/@package': 'fi.foo.bar',
+          '/manifest/@android:versionCode': '12',
+          '/manifest/uses-permission/@android:name': 'android.permission.CAMERA\nandroid.permission.INTERNET\n'
+        };
+
+        cmd.bundletoolPath = '/path/to/bundletool.jar';
+        cmd.execFile = (file, args) => {
+          calls.push(args);
+
+          return Promise.resolve({
+            exitCode: 0,
+            stdout: values[args[args.length - 1].replace('--xpath=', '')] || '',
+            stderr: ''
+          });
+        };
+
+        return cmd.apkInfo({apkPath: '/path/to/app.aab'}).then(info => {
+          expect(calls[0]).to.eql([
+            '-jar', '/path/to/bundletool.jar', 'dump', 'manifest', '--bundle=/path/to/app.aab', '--xpath=/manifest/@package'
+          ]);
+
+          expect(info).to.eql({
+            packageName: 'fi.foo.bar',
+            versionCode: 12,
+            versionName: null,
+            minSdkVersion: null,
+            targetSdkVersion: null,
+            requestedPermissions: [
+              'android.permission.CAMERA',
+              'android.permission.INTERNET'
+            ],
+            launchableActivity: null
+          });
+        });
+      });
+
+      it('should build the APKs of a bundle for the device and remove them afterwards', () => {
+        let outputDir;
+
+        cmd.bundletoolPath = '/path/to/bundletool.jar';
+        cmd.execFile = (file, args) => {
+          calls.push(args.slice(2, 4));
+
+          if (args[2] === 'extract-apks') {
+            // Like bundletool, write the APKs for the device.
+            outputDir = args.find(arg => arg.startsWith('--output-dir=')).replace('--output-dir=', '');
+            fs.mkdirSync(outputDir);
+            fs.writeFileSync(path.join(outputDir, 'base-xxhdpi.apk'), '');
+            fs.writeFileSync(path.join(outputDir, 'base-arm64_v8a.apk'), '');
+            fs.writeFileSync(path.join(outputDir, 'base-master.apk'), '');
+          }
+
+          return Promise.resolve({exitCode: 0, stdout: '', stderr: ''});
+        };
+
+        return cmd.withApksFromBundle({bundlePath: '/path/to/app.aab'}, apkPaths => {
+          expect(apkPaths).to.eql([
+            path.join(outputDir, 'base-master.apk'),
+            path.join(outputDir, 'base-arm64_v8a.apk'),
+            path.join(outputDir, 'base-xxhdpi.apk')
+          ]);
+
+          return cmd.installApp({packageName: 'fi.foo.bar', apkPath: apkPaths});
+        }).then(() => {
+          expect(calls).to.eql([
+            ['get-device-spec', `--adb=${path.join(sdkPath, 'platform-tools', 'adb')}`],
+            ['build-apks', '--bundle=/path/to/app.aab'],
+            ['extract-apks', `--apks=${path.join(path.dirname(outputDir), 'app.apks')}`],
+            ['uninstall', 'fi.foo.bar'],
+            [
+              'install-multiple',
+              path.join(outputDir, 'base-master.apk'),
+              path.join(outputDir, 'base-arm64_v8a.apk'),
+              path.join(outputDir, 'base-xxhdpi.apk')
+            ]
+          ]);
+
+          expect(fs.existsSync(path.dirname(outputDir))).to.equal(false);
+        });
+      });
+
+    });
+
+    describe('adb errors', () => {
+      let results;
+
+      beforeEach(() => {
+        calls = [];
+        results = [];
+
+        cmd = new Server.AndroidCommandLineTools({
+          sdkPath,
+          deviceName: 'emulator-5554',
+          retryPolicy: {minTimeout: 1}
+        });
+
+        cmd.execFile = (file, args) => {
+          calls.push([file].concat(args));
+          return Promise.resolve(results.shift());
+        };
+      });
+
+      it('should not fail because of warnings', () => {
+        results = [
+          {exitCode: 0, stdout: 'Success\n', stderr: '* daemon not running; starting now at tcp:5037\n'}
+        ];
+
+        return cmd.clearApp({packageName: 'fi.foo.bar'}).then(res => {
+          expect(res.stdout).to.equal('Success\n');
+        });
+      });
+
+      it('should retry transient failures', () => {
+        results = [
+          {exitCode: 1, stdout: '', stderr: 'error: device offline\n'},
+          {exitCode: 1, stdout: '', stderr: 'error: device offline\n'},
+          {exitCode: 0, stdout: '', stderr: ''}
+        ];
+
+        return cmd.startApp({packageName: 'fi.foo.bar'}).then(() => {
+          expect(calls).to.have.length(3);
+          expect(calls[0]).to.eql([
+            path.join(sdkPath, 'platform-tools', 'adb'),
+            '-s',
+            'emulator-5554',
+            'shell',
+            'monkey',
+            '-p',
+            'fi.foo.bar',
+            '-c',
+            'android.intent.category.LAUNCHER',
+            '1'
+          ]);
+        });
+      });
+
+      it('should give up after the configured number of retries', () => {
+        results = [1, 2, 3, 4].map(() => {
+          return {exitCode: 1, stdout: '', stderr: 'error: device offline\n'};
+        });
+
+        return cmd.startApp({packageName: 'fi.foo.bar'}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err).to.be.a(DeviceOfflineError);
+          expect(err.reason).to.equal('device offline');
+          expect(err.exitCode).to.equal(1);
+          expect(calls).to.have.length(4);
+        });
+      });
+
+      it('should not retry other failures', () => {
+        results = [
+          {exitCode: 0, stdout: '', stderr: ''},
+          {exitCode: 1, stdout: 'Failure [INSTALL_FAILED_INSUFFICIENT_STORAGE]\n', stderr: ''}
+        ];
+
+        return cmd.installApp({packageName: 'fi.foo.bar', apkPath: '/path/to/app.apk'}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err).to.be.an(InstallError);
+          expect(err.reason).to.equal('INSTALL_FAILED_INSUFFICIENT_STORAGE');
+          expect(err.stdout).to.equal('Failure [INSTALL_FAILED_INSUFFICIENT_STORAGE]\n');
+          expect(calls).to.have.length(2);
+        });
+      });
+
+      it('should not take exceptions in the output for failures', () => {
+        results = [{
+          exitCode: 0,
+          stdout: [
+            'Drop box contents: 1 entries',
+            '========================================',
+            '2017-10-19 12:34:56 data_app_crash (text, 120 bytes)',
+            'Process: fi.foo.bar',
+            '',
+            'java.lang.NullPointerException: boom',
+            '\tat fi.foo.bar.MainActivity.onClick(MainActivity.java:42)',
+            ''
+          ].join('\n'),
+          stderr: ''
+        }];
+
+        return cmd.lastCrashReport({packageName: 'fi.foo.bar'}).then(report => {
+          expect(report).to.contain('java.lang.NullPointerException: boom');
+        });
+      });
+
+      it('should take a pm path that fails without output for a missing app', () => {
+        results = [
+          {exitCode: 1, stdout: '', stderr: ''}
+        ];
+
+        return cmd.installedApkPath({packageName: 'fi.foo.bar'}).then(devicePath => {
+          expect(devicePath).to.equal(null);
+        });
+      });
+
+      it('should not take other pm path failures for a missing app', () => {
+        results = [
+          {exitCode: 1, stdout: '', stderr: 'error: closed\n'}
+        ];
+
+        return cmd.installedApkPath({packageName: 'fi.foo.bar'}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err).to.be.an(AdbError);
+          expect(err.reason).to.equal('error: closed');
+        });
+      });
+
+      it('should fail if a shell command reports an exception', () => {
+        results = [{
+          exitCode: 0,
+          stdout: '',
+          stderr: `Exception occurred while executing 'grant':\njava.lang.SecurityException: Package fi.foo.bar has not requested permission android.permission.CAMERA\n`
+        }];
+
+        return cmd.grantPermission({packageName: 'fi.foo.bar', permission: 'android.permission.CAMERA'}).then(() => {
+          throw new Error('should not get here');
+        }).catch(err => {
+          expect(err.reason).to.equal(`Exception occurred while executing 'grant':`);
+        });
+      });
+
+    });
+
   });
 
 });
\ No newline at end of file